@@ -0,0 +1,137 @@
+/**
+ * Image assets referenced by an animation (assets[] with u + p), block table rows:
+ *
+ *   assets-path     | /media/anim/   folder holding the images, instead of the JSON's folder
+ *   image-decoding  | async          decoding hint for the canvas renderer's images (or sync, auto)
+ *
+ * lottie-web resolves u + p against the page when it is handed animationData, so paths are
+ * rewritten to absolute URLs first: relative to the animation's URL, or the assets-path
+ * (where, as in lottie-web, a leading "images/" in p is dropped). Images on the EDS media bus
+ * (same origin, media_* files) are requested at one of the URLs createOptimizedPicture builds.
+ * Embedded (data:) images, e.g. from .lottie archives, are left alone.
+ *
+ * The decoding hint only counts if it is set before src, which lottie-web assigns as it creates
+ * its elements. For the canvas renderer the images are therefore created and decoded here and
+ * handed to lottie-web's preloader. The SVG renderer creates its own <image> elements, which
+ * can't be replaced, so it ignores the row.
+ */
+import { createOptimizedPicture } from './aem.js';
+import { warn } from './lottie-utils.js';
+
+const OPTIMIZABLE = /\.(png|jpe?g|webp|gif)$/i;
+const DECODING_VALUES = ['async', 'sync', 'auto'];
+
+/**
+ * Read the assets-path and image-decoding rows.
+ * @param {object} config Result of readBlockConfig
+ * @returns {{assetsPath: string|null, decoding: string|null}} assetsPath as authored
+ */
+export function readAssetOptions(config = {}) {
+  const options = { assetsPath: null, decoding: null };
+  const path = config['assets-path'];
+  if (path != null && String(path).trim() !== '') options.assetsPath = String(path).trim();
+  const decoding = config['image-decoding'];
+  if (decoding != null && String(decoding).trim() !== '') {
+    const value = String(decoding).trim().toLowerCase();
+    if (DECODING_VALUES.includes(value)) options.decoding = value;
+    else warn('ignoring invalid image-decoding', decoding);
+  }
+  return options;
+}
+
+/**
+ * URL of an EDS media image at the smallest createOptimizedPicture width that covers it.
+ * @param {URL} url Same-origin media_* image
+ * @param {number} [width] Width of the asset in the animation
+ * @returns {string}
+ */
+function toOptimizedUrl(url, width) {
+  const dpr = Math.min((typeof window !== 'undefined' && window.devicePixelRatio) || 1, 2);
+  const needed = (width || 0) * dpr;
+  // The picture's WebP sources, one per breakpoint.
+  const candidates = [...createOptimizedPicture(url.href).querySelectorAll('source[type="image/webp"]')]
+    .map((source) => {
+      const src = source.getAttribute('srcset');
+      return { src, width: Number(new URL(src).searchParams.get('width')) };
+    })
+    .sort((a, b) => a.width - b.width);
+  if (!candidates.length) return url.href;
+  return (candidates.find((c) => c.width >= needed) || candidates[candidates.length - 1]).src;
+}
+
+function isMediaBusImage(url) {
+  const file = url.pathname.split('/').pop();
+  return url.origin === window.location.origin && file.startsWith('media_')
+    && OPTIMIZABLE.test(file);
+}
+
+/**
+ * Rewrite the animation's image asset paths to absolute (and, for EDS media, optimised) URLs.
+ * @param {object} data Lottie JSON (the block's own copy; changed in place)
+ * @param {string} jsonUrl Absolute URL of the animation
+ * @param {string} [assetsPath] Absolute URL of the images folder
+ * @returns {number} Number of assets rewritten
+ */
+export function resolveImageAssets(data, jsonUrl, assetsPath) {
+  let count = 0;
+  (data?.assets || []).forEach((asset) => {
+    // Precomps have layers, data footage has t: 3; embedded images are already complete.
+    if (!asset.p || asset.layers || asset.t === 3 || asset.e === 1) return;
+    if (String(asset.p).startsWith('data:')) return;
+    let url;
+    try {
+      url = assetsPath
+        ? new URL(String(asset.p).replace(/^images\//, ''), assetsPath.replace(/\/?$/, '/'))
+        : new URL(`${asset.u || ''}${asset.p}`, jsonUrl);
+    } catch {
+      warn('cannot resolve image asset', asset.u, asset.p);
+      return;
+    }
+    asset.p = isMediaBusImage(url) ? toOptimizedUrl(url, asset.w) : url.href;
+    asset.u = '';
+    asset.e = 1;
+    count += 1;
+  });
+  return count;
+}
+
+/**
+ * Create and decode the animation's image assets with the decoding hint set before src, for
+ * the canvas renderer. Wait for ready before loadAnimation: the preloader then requests URLs
+ * that have already loaded with the same CORS mode, which the browser serves from its list of
+ * available images instead of fetching them again. (Canvas waits for its images anyway.)
+ * @param {object} data Lottie JSON, after resolveImageAssets
+ * @param {string} decoding async, sync or auto
+ * @returns {{images: Map<string, HTMLImageElement>, ready: Promise<void>}} Images by asset p;
+ *   ready settles once every image has decoded or failed (lottie-web reports failures itself)
+ */
+export function decodeImageAssets(data, decoding) {
+  const images = new Map();
+  (data?.assets || []).forEach((asset) => {
+    if (!asset.p || asset.layers || asset.t === 3 || images.has(asset.p)) return;
+    // Skip paths resolveImageAssets could not make absolute; lottie-web warns about those.
+    if (asset.e !== 1 && !String(asset.p).startsWith('data:')) return;
+    const img = new Image();
+    // As lottie-web's preloader does, so canvas output isn't tainted.
+    img.crossOrigin = 'anonymous';
+    img.decoding = decoding;
+    img.src = asset.p;
+    images.set(asset.p, img);
+  });
+  const ready = Promise.all([...images.values()].map((img) => img.decode().catch(() => {})))
+    .then(() => {});
+  return { images, ready };
+}
+
+/**
+ * Hand images from decodeImageAssets to lottie-web's preloader, whose images the canvas
+ * renderer draws (it only builds its elements once they have loaded).
+ * @param {object} anim lottie-web AnimationItem
+ * @param {Map<string, HTMLImageElement>} images From decodeImageAssets
+ */
+export function useDecodedImages(anim, images) {
+  (anim.imagePreloader?.images || []).forEach((entry) => {
+    const img = images.get(entry.assetData?.p);
+    if (img && entry.img?.tagName === 'IMG') entry.img = img;
+  });
+}
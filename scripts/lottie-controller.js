@@ -0,0 +1,228 @@
+/**
+ * Public control API for rendered Lottie blocks.
+ * Each .lottie-container gets a controller on `container.lottieController`, also registered
+ * on the page in `window.hlx.lottie` (a Map keyed by container id, e.g. lottie-main-1,
+ * lottie-v3-2):
+ *
+ *   const ctrl = window.hlx.lottie.get('lottie-v1-1');
+ *   await ctrl.ready;
+ *   ctrl.seekToMarker('intro');
+ *
+ * Calls made before the animation is ready are applied once it is.
+ * Frames passed to the controller are absolute (as in After Effects), not segment-relative.
+ * Named segments come from the animation's markers (see lottie-segments.js).
+ */
+import { parseSequence, playSequence } from './lottie-segments.js';
+
+function getRegistry() {
+  window.hlx = window.hlx || {};
+  if (!(window.hlx.lottie instanceof Map)) window.hlx.lottie = new Map();
+  return window.hlx.lottie;
+}
+
+function createController(container) {
+  let anim = null;
+  let segments = {};
+  let expressions = null;
+  let cancelSequence = () => {};
+  let destroyed = false;
+  let resolveReady;
+  let rejectReady;
+  const ready = new Promise((resolve, reject) => {
+    resolveReady = resolve;
+    rejectReady = reject;
+  });
+  // Failures are reported through data-lottie-status; don't surface them as unhandled rejections.
+  ready.catch(() => {});
+
+  const whenReady = (fn) => {
+    if (destroyed) return;
+    if (anim) fn(anim);
+    else ready.then(() => { if (anim && !destroyed) fn(anim); }).catch(() => {});
+  };
+
+  // lottie-web frames are relative to the current segment; translate from absolute frames.
+  const toSegmentFrame = (a, frame) => {
+    const rel = frame - (a.firstFrame || 0);
+    return Math.min(Math.max(rel, 0), Math.max(a.totalFrames - 1, 0));
+  };
+  // goToAndPlay pauses and resumes (a spurious lottie:pause/lottie:play pair), so a playing
+  // animation is moved with the frame setter goToAndStop uses, without its pause().
+  const goTo = (a, frame) => {
+    if (a.isPaused) a.goToAndStop(frame, true);
+    else a.setCurrentRawFrameValue(frame);
+  };
+
+  const controller = {
+    id: container.id,
+    element: container,
+    ready,
+
+    /** lottie-web AnimationItem, or null until ready. */
+    get animation() { return anim; },
+    get isReady() { return !!anim; },
+    get isPaused() { return anim ? anim.isPaused : true; },
+    /** Current absolute frame. */
+    get currentFrame() { return anim ? (anim.firstFrame || 0) + anim.currentFrame : 0; },
+    get totalFrames() { return anim ? anim.totalFrames : 0; },
+    /** Named segments from AE markers: { name: [start, end] }. Empty until ready. */
+    get segments() { return { ...segments }; },
+    /**
+     * Expression audit of the animation: { url, summary: { total, baked, stripped }, entries },
+     * one entry per expression with its layer, property path and status. Null until ready.
+     */
+    get expressions() { return expressions; },
+
+    play() { whenReady((a) => a.play()); return controller; },
+    pause() { whenReady((a) => a.pause()); return controller; },
+    stop() {
+      whenReady((a) => {
+        cancelSequence();
+        a.stop();
+      });
+      return controller;
+    },
+
+    /**
+     * Play a named segment (marker) or frame range.
+     * @param {string|number[]} ref Marker name, "10-60" or [10, 60]
+     * @param {object} [opts]
+     * @param {boolean} [opts.loop] Repeat the segment
+     */
+    playSegment(ref, { loop = false } = {}) {
+      return controller.playSequence([{ ref, loop }]);
+    },
+
+    /**
+     * Play segments one after another, e.g. 'intro then loop:main'.
+     * @param {string|{ref: string, loop: boolean}[]} sequence
+     */
+    playSequence(sequence) {
+      whenReady((a) => {
+        cancelSequence();
+        const steps = Array.isArray(sequence) ? sequence : parseSequence(sequence);
+        cancelSequence = playSequence(a, steps, segments);
+      });
+      return controller;
+    },
+
+    /**
+     * Jump to an absolute frame, keeping the current play/pause state.
+     * @param {number} frame
+     */
+    seek(frame) {
+      whenReady((a) => {
+        const value = Number(frame);
+        if (Number.isFinite(value)) goTo(a, toSegmentFrame(a, value));
+      });
+      return controller;
+    },
+
+    /**
+     * Jump to a position within the current segment.
+     * @param {number} percent 0–100
+     */
+    seekToPercent(percent) {
+      whenReady((a) => {
+        const value = Math.min(Math.max(Number(percent) || 0, 0), 100);
+        goTo(a, (value / 100) * Math.max(a.totalFrames - 1, 0));
+      });
+      return controller;
+    },
+
+    /**
+     * Jump to the start of an After Effects marker.
+     * @param {string} name Marker name (`cm`)
+     */
+    seekToMarker(name) {
+      whenReady((a) => {
+        const marker = a.getMarkerData ? a.getMarkerData(name) : null;
+        const frame = Object.prototype.hasOwnProperty.call(segments, name)
+          ? segments[name][0] : marker?.time;
+        if (frame != null) goTo(a, toSegmentFrame(a, frame));
+      });
+      return controller;
+    },
+
+    /** @param {number} speed Positive playback rate (1 = normal) */
+    setSpeed(speed) {
+      whenReady((a) => {
+        const value = Number(speed);
+        if (Number.isFinite(value) && value > 0) a.setSpeed(value);
+      });
+      return controller;
+    },
+
+    /** @param {number} direction 1 (forward) or -1 (reverse) */
+    setDirection(direction) {
+      whenReady((a) => a.setDirection(Number(direction) < 0 ? -1 : 1));
+      return controller;
+    },
+
+    /** Destroy the animation and remove the controller from the page registry. */
+    destroy() {
+      if (destroyed) return;
+      destroyed = true;
+      cancelSequence();
+      if (anim) anim.destroy();
+      anim = null;
+      getRegistry().delete(container.id);
+      delete container.lottieController;
+    },
+  };
+
+  /**
+   * @private Called by the runtime once lottie.loadAnimation returns.
+   * @param {object} animation lottie-web AnimationItem
+   * @param {object} [data]
+   * @param {Object<string, number[]>} [data.segments] Named segments from parseMarkerSegments
+   * @param {object} [data.expressions] Expression audit built by the runtime
+   * @returns {boolean} false if the controller was destroyed while loading (the animation
+   *   is destroyed too, and the runtime must stop setting it up)
+   */
+  controller.attach = (animation, data = {}) => {
+    if (destroyed) {
+      animation.destroy();
+      return false;
+    }
+    anim = animation;
+    segments = data.segments || {};
+    expressions = data.expressions || null;
+    return true;
+  };
+
+  /** @private Called by the runtime once the attached animation's playback is set up. */
+  controller.markReady = () => {
+    resolveReady(controller);
+  };
+
+  /** @private Called by the runtime when loading fails. */
+  controller.fail = (err) => {
+    rejectReady(err);
+  };
+
+  return controller;
+}
+
+/**
+ * Get the controller for a container, creating and registering it if needed.
+ * @param {Element} container .lottie-container (must have an id to be registered)
+ * @returns {object} Controller
+ */
+export function createLottieController(container) {
+  if (container.lottieController) return container.lottieController;
+  const controller = createController(container);
+  container.lottieController = controller;
+  if (container.id) getRegistry().set(container.id, controller);
+  return controller;
+}
+
+/**
+ * Look up a controller by container id or element.
+ * @param {string|Element} idOrElement
+ * @returns {object|undefined} Controller
+ */
+export function getLottieController(idOrElement) {
+  if (typeof idOrElement === 'string') return getRegistry().get(idOrElement);
+  return idOrElement?.lottieController;
+}
@@ -0,0 +1,167 @@
+/**
+ * Overlay control bar for Lottie blocks (WCAG 2.2.2 Pause, Stop, Hide).
+ *
+ *   controls | auto       default: shown when autoplay runs for more than 5s in total
+ *   controls | true       play/pause and restart
+ *   controls | scrubber   play/pause, restart and a progress scrubber
+ *   controls | false      never shown
+ *
+ * The bar sits next to the container (whose role="img" would hide it from assistive tech) and
+ * is themed with --lottie-controls-* custom properties (see styles/lottie.css).
+ */
+import { toBoolean, warn } from './lottie-utils.js';
+import { resolveNamedSegment } from './lottie-segments.js';
+import { reportInteraction } from './lottie-telemetry.js';
+
+/** Autoplaying motion longer than this needs a pause mechanism (WCAG 2.2.2). */
+const MAX_UNCONTROLLED_SECONDS = 5;
+
+/**
+ * Read the controls row.
+ * @param {object} config Result of readBlockConfig
+ * @returns {string} 'auto', 'on', 'scrubber' or 'off'
+ */
+export function readControlsOption(config = {}) {
+  const raw = String(config.controls ?? '').trim().toLowerCase();
+  if (!raw || raw === 'auto') return 'auto';
+  if (raw === 'scrubber') return 'scrubber';
+  const bool = toBoolean(raw);
+  if (bool !== undefined) return bool ? 'on' : 'off';
+  warn('ignoring invalid controls', config.controls);
+  return 'auto';
+}
+
+/**
+ * Seconds of motion autoplay produces: duration × (loop count + 1) / speed, summed over a
+ * sequence's steps; Infinity when anything loops endlessly.
+ * @param {object} playback Options from readPlaybackOptions
+ * @param {object} anim lottie-web AnimationItem
+ * @param {Object<string, number[]>} segments From parseMarkerSegments
+ * @returns {number}
+ */
+function getAutoplaySeconds(playback, anim, segments) {
+  const speed = playback.speed || 1;
+  if (playback.sequence) {
+    const fps = anim.frameRate || 0;
+    return playback.sequence.reduce((total, step) => {
+      if (step.loop) return Infinity;
+      const range = resolveNamedSegment(step.ref, segments);
+      return range && fps ? total + Math.abs(range[1] - range[0]) / fps / speed : total;
+    }, 0);
+  }
+  if (playback.loop === true) return Infinity;
+  const seconds = anim.getDuration ? anim.getDuration(false) : 0;
+  // lottie-web plays a numeric loop as that many repeats after the first play.
+  const plays = typeof playback.loop === 'number' ? playback.loop + 1 : 1;
+  return (seconds * plays) / speed;
+}
+
+/**
+ * Whether the bar should be shown for this animation.
+ * @param {string} controls From readControlsOption
+ * @param {object} playback Options from readPlaybackOptions
+ * @param {object} anim lottie-web AnimationItem
+ * @param {Object<string, number[]>} [segments] From parseMarkerSegments, for sequences
+ * @returns {boolean}
+ */
+export function shouldShowControls(controls, playback, anim, segments = {}) {
+  if (controls === 'off') return false;
+  if (controls !== 'auto') return true;
+  if (!playback.autoplay) return false;
+  return getAutoplaySeconds(playback, anim, segments) > MAX_UNCONTROLLED_SECONDS;
+}
+
+function createButton(className, label) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = className;
+  button.setAttribute('aria-label', label);
+  button.title = label;
+  return button;
+}
+
+/**
+ * Render the control bar after the container and keep it in sync with playback.
+ * @param {Element} container .lottie-container
+ * @param {object} controller From createLottieController (attached)
+ * @param {object} [options]
+ * @param {boolean} [options.scrubber] Include the progress scrubber
+ * @param {function()} [options.play] Play action, e.g. bindReducedMotion's, which starts the
+ *   block's mode on first play; defaults to controller.play()
+ * @returns {function} Cleanup
+ */
+export function bindControls(container, controller, options = {}) {
+  const { scrubber = false, play = () => controller.play() } = options;
+  const anim = controller.animation;
+  const bar = document.createElement('div');
+  bar.className = 'lottie-controls';
+  bar.setAttribute('role', 'group');
+  bar.setAttribute('aria-label', 'Animation controls');
+
+  const toggle = createButton('lottie-controls-toggle', 'Pause animation');
+  toggle.setAttribute('aria-controls', container.id);
+  const restart = createButton('lottie-controls-restart', 'Restart animation');
+  restart.setAttribute('aria-controls', container.id);
+  bar.append(toggle, restart);
+
+  let range = null;
+  if (scrubber) {
+    range = document.createElement('input');
+    range.type = 'range';
+    range.className = 'lottie-controls-scrubber';
+    range.min = '0';
+    range.max = '100';
+    range.step = '0.1';
+    range.value = '0';
+    range.setAttribute('aria-label', 'Animation progress');
+    range.setAttribute('aria-controls', container.id);
+    bar.append(range);
+  }
+  container.after(bar);
+
+  const sync = () => {
+    const playing = !controller.isPaused;
+    const label = playing ? 'Pause animation' : 'Play animation';
+    toggle.setAttribute('aria-label', label);
+    toggle.title = label;
+    toggle.dataset.state = playing ? 'playing' : 'paused';
+  };
+  const syncProgress = () => {
+    if (!range || !anim) return;
+    const total = Math.max(anim.totalFrames - 1, 1);
+    const percent = Math.min(Math.max((anim.currentFrame / total) * 100, 0), 100);
+    range.value = percent.toFixed(1);
+    range.setAttribute('aria-valuetext', `${Math.round(percent)}%`);
+  };
+
+  toggle.addEventListener('click', () => {
+    reportInteraction(container, controller.isPaused ? 'play' : 'pause');
+    if (controller.isPaused) play();
+    else controller.pause();
+  });
+  restart.addEventListener('click', () => {
+    reportInteraction(container, 'restart');
+    controller.seekToPercent(0);
+    play();
+  });
+  if (range) {
+    range.addEventListener('input', () => {
+      reportInteraction(container, 'scrub');
+      controller.pause().seekToPercent(Number(range.value));
+      syncProgress();
+    });
+  }
+
+  container.addEventListener('lottie:play', sync);
+  container.addEventListener('lottie:pause', sync);
+  if (range && anim) anim.addEventListener('enterFrame', syncProgress);
+  sync();
+  syncProgress();
+
+  return () => {
+    container.removeEventListener('lottie:play', sync);
+    container.removeEventListener('lottie:pause', sync);
+    if (range && anim) anim.removeEventListener('enterFrame', syncProgress);
+    bar.remove();
+  };
+}
@@ -0,0 +1,311 @@
+/**
+ * Shared animation JSON cache for Lottie blocks (raw JSON or .lottie archives, see
+ * lottie-dotlottie.js).
+ *
+ * Blocks that point at the same animation share one request and one preprocessing pass:
+ * entries are keyed by absolute URL, in-flight requests are de-duplicated, and every block
+ * gets its own deep copy because lottie-web mutates the data it renders.
+ * Fetching, parsing and expression preprocessing run in a module worker (lottie-worker.js)
+ * so they don't block the main thread; where the worker can't start (no module-worker
+ * support, CSP) they run on the main thread instead. The worker keeps the preprocessed
+ * original: the first block takes the copy it posted, and later blocks ask it for another.
+ *
+ * Network errors and timeouts are retried with exponential backoff (see lottie-fallback.js
+ * for the block rows); the first block to request a URL decides the attempts for all of them.
+ *
+ * With page metadata "lottie-cache-version" set, preprocessed JSON is also kept in the
+ * Cache Storage API (cache "lottie-data-<version>") for repeat visits; changing the version
+ * drops older caches. Without it, or outside a secure context, only the in-memory cache is used.
+ */
+import { getMetadata } from './aem.js';
+import { log, warn, withReason } from './lottie-utils.js';
+import { preprocessAnimation } from './lottie-expressions.js';
+import { isDotLottie, parseAnimationBody } from './lottie-dotlottie.js';
+
+const CACHE_PREFIX = 'lottie-data-';
+/** Bump when preprocessing changes, so stored output from older code is not reused. */
+const CACHE_FORMAT = 3;
+const SIZE_HEADER = 'x-lottie-size';
+/** Delay before the first retry; doubled for each further one. */
+const RETRY_BASE_MS = 500;
+/** Client errors that may succeed on a later attempt; other 4xx responses are final. */
+const RETRYABLE_STATUS = [408, 429];
+
+/**
+ * Absolute URL → Promise<{data, size, report, settings, fromWorker}>; settings are a .lottie
+ * manifest's playback settings. Main-thread data is never handed out (blocks get clones);
+ * worker data goes to the first block and is then dropped.
+ */
+const entries = new Map();
+let persistentCache = null;
+
+function cloneData(data) {
+  return typeof structuredClone === 'function'
+    ? structuredClone(data)
+    : JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * Open this version's cache and delete caches of other versions.
+ * @returns {Promise<string|null>} Name of the cache, or null when it can't be used
+ */
+function openPersistentCache() {
+  if (persistentCache) return persistentCache;
+  const version = getMetadata('lottie-cache-version');
+  if (!version || typeof caches === 'undefined') {
+    persistentCache = Promise.resolve(null);
+    return persistentCache;
+  }
+  const name = `${CACHE_PREFIX}${CACHE_FORMAT}-${version}`;
+  persistentCache = caches.open(name)
+    .then(() => {
+      caches.keys()
+        .then((keys) => keys
+          .filter((key) => key.startsWith(CACHE_PREFIX) && key !== name)
+          .forEach((key) => caches.delete(key)))
+        .catch(() => {});
+      return name;
+    })
+    .catch(() => null);
+  return persistentCache;
+}
+
+function readPersisted(cacheName, url) {
+  if (!cacheName) return Promise.resolve(null);
+  return caches.open(cacheName)
+    .then((cache) => cache.match(url))
+    .then((res) => (res
+      ? res.json().then(({ data, report, settings }) => ({
+        data, report, settings, size: Number(res.headers.get(SIZE_HEADER)) || 0,
+      }))
+      : null))
+    .catch(() => null);
+}
+
+function persist(cacheName, url, entry) {
+  if (!cacheName) return;
+  const { data, report, settings } = entry;
+  const res = new Response(JSON.stringify({ data, report, settings }), {
+    headers: { 'content-type': 'application/json', [SIZE_HEADER]: String(entry.size) },
+  });
+  caches.open(cacheName).then((cache) => cache.put(url, res)).catch(() => {});
+}
+
+/**
+ * Fetch, parse and preprocess on the main thread. Errors carry reason 'network' or 'parse'.
+ * @param {string} url Absolute URL
+ * @param {number} [timeout] ms before the request is aborted
+ * @returns {Promise<{data: object, size: number, report: object[], settings: object}>}
+ */
+function fetchAndParse(url, timeout) {
+  const abort = new AbortController();
+  const timer = timeout ? setTimeout(() => abort.abort(), timeout) : null;
+  return fetch(url, { signal: abort.signal })
+    .then((res) => {
+      if (!res.ok) throw Object.assign(new Error(`JSON ${res.status}: ${url}`), { status: res.status });
+      return isDotLottie(url) ? res.arrayBuffer() : res.text();
+    })
+    .catch((err) => {
+      const error = abort.signal.aborted ? new Error(`JSON timed out after ${timeout} ms: ${url}`) : err;
+      throw withReason(error, 'network');
+    })
+    .finally(() => clearTimeout(timer))
+    .then(parseAnimationBody)
+    .then(({ data, size, settings }) => ({
+      data, size, settings, report: preprocessAnimation(data),
+    }))
+    .catch((err) => { throw withReason(err, 'parse'); });
+}
+
+/**
+ * fetchAndParse, with Cache Storage read first and written after (the worker does the same).
+ * @param {string} url Absolute URL
+ * @param {number} [timeout] ms before the request is aborted
+ * @param {string} [cacheName] Cache Storage cache to read first and store into
+ * @returns {Promise<{data: object, size: number, report: object[], settings: object}>}
+ */
+function fetchOnMainThread(url, timeout, cacheName) {
+  return readPersisted(cacheName, url).then((stored) => {
+    if (stored) {
+      log('JSON from Cache Storage', url);
+      return stored;
+    }
+    return fetchAndParse(url, timeout).then((entry) => {
+      persist(cacheName, url, entry);
+      return entry;
+    });
+  });
+}
+
+/** undefined until first use, then the Worker or null when it can't be used. */
+let worker;
+const jobs = new Map();
+let nextJobId = 0;
+
+function workerFailed() {
+  if (!worker) return;
+  worker.terminate();
+  worker = null;
+  warn('animation worker unavailable; parsing on the main thread');
+  jobs.forEach((job) => job.fallback());
+  jobs.clear();
+}
+
+function getWorker() {
+  if (worker !== undefined) return worker;
+  worker = null;
+  if (typeof Worker === 'undefined') return worker;
+  try {
+    worker = new Worker(new URL('./lottie-worker.js', import.meta.url), { type: 'module' });
+  } catch {
+    return worker;
+  }
+  worker.addEventListener('message', ({ data: reply }) => {
+    const job = jobs.get(reply.id);
+    if (!job) return;
+    jobs.delete(reply.id);
+    if (reply.error) {
+      const error = Object.assign(new Error(reply.error), { status: reply.status });
+      job.reject(withReason(error, reply.reason));
+    } else {
+      const {
+        data, size, report, settings, cached,
+      } = reply;
+      if (cached) log('JSON from Cache Storage', job.url);
+      job.resolve({
+        data, size, report, settings, fromWorker: true,
+      });
+    }
+  });
+  // Fires when the worker script can't load or evaluate (e.g. blocked by CSP).
+  worker.addEventListener('error', (e) => {
+    e.preventDefault();
+    workerFailed();
+  });
+  worker.addEventListener('messageerror', workerFailed);
+  return worker;
+}
+
+/**
+ * Fetch, parse and preprocess in the worker, or on the main thread without one.
+ * The worker answers repeated requests for a URL from memory.
+ * @param {string} url Absolute URL
+ * @param {number} [timeout] ms before the request is aborted
+ * @param {string} [cacheName] Cache Storage cache to read first and store into
+ * @returns {Promise<{data: object, size: number, report: object[], settings: object,
+ *   fromWorker: boolean}>}
+ */
+function fetchAnimation(url, timeout, cacheName) {
+  const w = getWorker();
+  if (!w) return fetchOnMainThread(url, timeout, cacheName);
+  return new Promise((resolve, reject) => {
+    nextJobId += 1;
+    jobs.set(nextJobId, {
+      url,
+      resolve,
+      reject,
+      fallback: () => fetchOnMainThread(url, timeout, cacheName).then(resolve, reject),
+    });
+    w.postMessage({
+      id: nextJobId, url, timeout, cacheName,
+    });
+  });
+}
+
+function isRetryable(err) {
+  if (err.reason !== 'network') return false;
+  return !(err.status >= 400 && err.status < 500) || RETRYABLE_STATUS.includes(err.status);
+}
+
+/**
+ * fetchAnimation, retrying network errors, timeouts and 5xx responses after 0.5 s, 1 s, 2 s, …
+ * @param {string} url Absolute URL
+ * @param {{retries?: number, timeout?: number, cacheName?: string}} options
+ * @param {number} [attempt] Retries made so far
+ * @returns {Promise<{data: object, size: number, report: object[], settings: object,
+ *   fromWorker: boolean}>}
+ */
+function fetchWithRetry(url, options, attempt = 0) {
+  const { retries = 0, timeout, cacheName } = options;
+  return fetchAnimation(url, timeout, cacheName).catch((err) => {
+    if (!isRetryable(err) || attempt >= retries) throw err;
+    const delay = RETRY_BASE_MS * 2 ** attempt;
+    log(`retrying in ${delay} ms (${attempt + 1}/${retries})`, url, err.message);
+    return new Promise((resolve) => { setTimeout(resolve, delay); })
+      .then(() => fetchWithRetry(url, options, attempt + 1));
+  });
+}
+
+/**
+ * Load one animation (Cache Storage first when enabled).
+ * @param {string} url Absolute URL
+ * @param {{retries?: number, timeout?: number}} options
+ * @returns {Promise<{data: object, size: number, report: object[], settings: object,
+ *   fromWorker: boolean}>}
+ */
+function loadEntry(url, options) {
+  return openPersistentCache().then((cacheName) => fetchWithRetry(url, { ...options, cacheName }));
+}
+
+/**
+ * A block's own copy of an entry's data.
+ * @param {string} url Absolute URL
+ * @param {object} entry Resolved entry
+ * @param {boolean} first The block whose request created the entry
+ * @returns {Promise<object>}
+ */
+function takeData(url, entry, first) {
+  if (!entry.fromWorker) return Promise.resolve(cloneData(entry.data));
+  if (first) {
+    const { data } = entry;
+    entry.data = null;
+    return Promise.resolve(data);
+  }
+  // Answered from the worker's memory, so the copy is made there rather than here.
+  return fetchAnimation(url).then(({ data }) => data);
+}
+
+/**
+ * Preprocessed animation data for a block, shared with other blocks using the same URL.
+ * @param {string} url Absolute URL of the animation JSON or .lottie archive
+ * @param {object} [options]
+ * @param {number} [options.retries] Extra attempts after a network error or timeout
+ * @param {number} [options.timeout] ms to wait for the JSON on each attempt
+ * @returns {Promise<{data: object, size: number, report: object[], settings: object}>}
+ *   A private copy of the data, the JSON's size in characters, the expression report (see
+ *   bakeExpressions) and the .lottie manifest's playback settings ({} for plain JSON)
+ */
+export function loadAnimationData(url, options = {}) {
+  const first = !entries.has(url);
+  if (first) {
+    const pending = loadEntry(url, options);
+    entries.set(url, pending);
+    // Forget failures so a later block (or a retry) fetches again.
+    pending.catch(() => entries.delete(url));
+  } else {
+    log('JSON shared', url);
+  }
+  return entries.get(url).then((entry) => takeData(url, entry, first).then((data) => ({
+    data,
+    size: entry.size,
+    report: entry.report.map((item) => ({ ...item })),
+    settings: { ...(entry.settings || {}) },
+  })));
+}
+
+/**
+ * Drop every cached animation (memory and Cache Storage), e.g. after editing JSON in preview.
+ * @returns {Promise<void>}
+ */
+export function clearAnimationCache() {
+  entries.clear();
+  persistentCache = null;
+  if (worker) worker.postMessage({ clear: true });
+  if (typeof caches === 'undefined') return Promise.resolve();
+  return caches.keys()
+    .then((keys) => Promise.all(keys
+      .filter((key) => key.startsWith(CACHE_PREFIX))
+      .map((key) => caches.delete(key))))
+    .then(() => {})
+    .catch(() => {});
+}
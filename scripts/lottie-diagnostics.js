@@ -0,0 +1,106 @@
+/**
+ * On-page diagnostics panel for Lottie blocks, shown in diagnostics mode "overlay"
+ * (?lottie=overlay, or "overlay" as the lottie-debug localStorage flag or page metadata).
+ * Lists every container with its status, renderer, frame rate, rendered size and load timings
+ * (ms after loading started until the JSON, the lottie-web build and the first render were
+ * ready), refreshed twice a second.
+ */
+
+const REFRESH_MS = 500;
+const COLUMNS = ['Block', 'Status', 'Renderer', 'FPS', 'Size', 'JSON', 'Script', 'Ready'];
+
+let panel = null;
+/** Container id → { timings, frames, sampledAt, fps } */
+const stats = new Map();
+
+function getStats(id) {
+  if (!stats.has(id)) {
+    stats.set(id, {
+      timings: {}, frames: 0, sampledAt: performance.now(), fps: null,
+    });
+  }
+  return stats.get(id);
+}
+
+function onReady(e) {
+  const { id, controller, timings } = e.detail;
+  const entry = getStats(id);
+  entry.timings = timings || {};
+  const anim = controller?.animation;
+  if (anim) anim.addEventListener('enterFrame', () => { entry.frames += 1; });
+}
+
+function formatMs(value) {
+  return Number.isFinite(value) ? String(value) : '–';
+}
+
+function describe(container) {
+  const entry = getStats(container.id);
+  const now = performance.now();
+  const seconds = (now - entry.sampledAt) / 1000;
+  if (seconds > 0) entry.fps = Math.round(entry.frames / seconds);
+  entry.frames = 0;
+  entry.sampledAt = now;
+
+  const rect = container.getBoundingClientRect();
+  const controller = container.lottieController;
+  let status = container.dataset.lottieStatus || 'waiting';
+  if (container.dataset.lottieSuspended === 'true') status = 'suspended';
+  else if (status === 'loaded' && controller?.isPaused) status = 'paused';
+  return [
+    container.id,
+    status,
+    container.dataset.lottieRenderer || '–',
+    entry.fps != null && status === 'loaded' ? String(entry.fps) : '–',
+    `${Math.round(rect.width)}×${Math.round(rect.height)}`,
+    formatMs(entry.timings.data),
+    formatMs(entry.timings.script),
+    formatMs(entry.timings.ready),
+  ];
+}
+
+function render(tbody) {
+  const rows = [...document.querySelectorAll('.lottie-container')].map((container) => {
+    const row = document.createElement('tr');
+    describe(container).forEach((text) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.append(cell);
+    });
+    return row;
+  });
+  tbody.replaceChildren(...rows);
+}
+
+/**
+ * Show the panel (once per page) and start collecting frame rates and timings.
+ */
+// eslint-disable-next-line import/prefer-default-export
+export function showDiagnostics() {
+  if (panel || typeof document === 'undefined') return;
+  panel = document.createElement('details');
+  panel.className = 'lottie-diagnostics';
+  panel.open = true;
+  const summary = document.createElement('summary');
+  summary.textContent = 'Lottie diagnostics';
+  const table = document.createElement('table');
+  const head = document.createElement('tr');
+  COLUMNS.forEach((label) => {
+    const th = document.createElement('th');
+    th.scope = 'col';
+    th.textContent = label;
+    head.append(th);
+  });
+  const thead = document.createElement('thead');
+  thead.append(head);
+  const tbody = document.createElement('tbody');
+  table.append(thead, tbody);
+  panel.append(summary, table);
+  document.body.append(panel);
+
+  document.addEventListener('lottie:ready', onReady);
+  setInterval(() => {
+    if (panel.open) render(tbody);
+  }, REFRESH_MS);
+  render(tbody);
+}
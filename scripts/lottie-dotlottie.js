@@ -0,0 +1,176 @@
+/**
+ * dotLottie (.lottie) support: a zip archive with manifest.json, one or more animations and
+ * their image assets. Unzipped in the browser with DecompressionStream (no third-party
+ * service or library); used by lottie-worker.js and, without the worker, lottie-data.js.
+ *
+ * The manifest's default animation is rendered (activeAnimationId in v1, initial.animation
+ * in v2, else the first). Its playback settings (v1: loop, autoplay, speed, direction) are
+ * returned for rows the author didn't set, and embedded images become data: URLs.
+ * Must not import aem.js: it also runs in the worker.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const IMAGE_FOLDERS = ['images/', 'i/'];
+const IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  svg: 'image/svg+xml',
+  avif: 'image/avif',
+};
+
+/**
+ * Whether a URL points at a dotLottie archive.
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isDotLottie(url) {
+  try {
+    return new URL(url, 'https://x/').pathname.toLowerCase().endsWith('.lottie');
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * List the archive's files from its central directory (no zip64, no encryption).
+ * @param {ArrayBuffer} buffer
+ * @returns {Map<string, {method: number, size: number, offset: number}>} name → entry
+ */
+function readZipDirectory(buffer) {
+  const view = new DataView(buffer);
+  let eocd = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i -= 1) {
+    if (view.getUint32(i, true) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error('not a .lottie (zip) file');
+  const count = view.getUint16(eocd + 10, true);
+  let pos = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+  const files = new Map();
+  for (let i = 0; i < count; i += 1) {
+    if (view.getUint32(pos, true) !== CENTRAL_SIGNATURE) throw new Error('corrupt .lottie directory');
+    const flags = view.getUint16(pos + 8, true);
+    const nameLength = view.getUint16(pos + 28, true);
+    const name = decoder.decode(new Uint8Array(buffer, pos + 46, nameLength));
+    if (flags & 1) throw new Error(`encrypted .lottie entry: ${name}`); // eslint-disable-line no-bitwise
+    files.set(name, {
+      method: view.getUint16(pos + 10, true),
+      size: view.getUint32(pos + 20, true),
+      offset: view.getUint32(pos + 42, true),
+    });
+    pos += 46 + nameLength + view.getUint16(pos + 30, true) + view.getUint16(pos + 32, true);
+  }
+  return files;
+}
+
+/**
+ * Bytes of one archive entry, inflated when it is deflate-compressed.
+ * @param {ArrayBuffer} buffer
+ * @param {{method: number, size: number, offset: number}} entry
+ * @returns {Promise<Uint8Array>}
+ */
+function readZipEntry(buffer, entry) {
+  const view = new DataView(buffer);
+  if (view.getUint32(entry.offset, true) !== LOCAL_SIGNATURE) {
+    return Promise.reject(new Error('corrupt .lottie entry'));
+  }
+  const start = entry.offset + 30
+    + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+  const bytes = new Uint8Array(buffer, start, entry.size);
+  if (entry.method === 0) return Promise.resolve(bytes);
+  if (entry.method !== 8) return Promise.reject(new Error(`unsupported .lottie compression ${entry.method}`));
+  if (typeof DecompressionStream === 'undefined') {
+    return Promise.reject(new Error('this browser cannot unzip .lottie files'));
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).arrayBuffer().then((inflated) => new Uint8Array(inflated));
+}
+
+function toDataUrl(bytes, name) {
+  const type = IMAGE_TYPES[name.split('.').pop().toLowerCase()] || 'application/octet-stream';
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${type};base64,${btoa(binary)}`;
+}
+
+/**
+ * Replace image asset paths with data: URLs of the archive's embedded images.
+ * @param {object} data Lottie JSON
+ * @param {ArrayBuffer} buffer
+ * @param {Map} files From readZipDirectory
+ * @returns {Promise<void>}
+ */
+function embedImages(data, buffer, files) {
+  const images = (data.assets || []).filter((asset) => asset.p && !asset.layers
+    && !String(asset.p).startsWith('data:'));
+  return Promise.all(images.map((asset) => {
+    const name = IMAGE_FOLDERS.map((folder) => `${folder}${asset.p}`).find((n) => files.has(n));
+    if (!name) return null;
+    return readZipEntry(buffer, files.get(name)).then((bytes) => {
+      asset.p = toDataUrl(bytes, name);
+      asset.u = '';
+      asset.e = 1;
+    });
+  })).then(() => {});
+}
+
+function pickPlayback(entry = {}) {
+  const settings = {};
+  if (typeof entry.loop === 'boolean' || Number.isInteger(entry.loop)) settings.loop = entry.loop;
+  if (typeof entry.autoplay === 'boolean') settings.autoplay = entry.autoplay;
+  if (Number.isFinite(entry.speed) && entry.speed > 0) settings.speed = entry.speed;
+  if (entry.direction === 1 || entry.direction === -1) settings.direction = entry.direction;
+  if (entry.playMode && entry.playMode !== 'normal') settings.playMode = entry.playMode;
+  return settings;
+}
+
+/**
+ * Unpack a .lottie archive.
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<{data: object, size: number, settings: object}>} The default animation
+ *   with images embedded, the size of its JSON in characters and its manifest playback
+ *   settings
+ */
+export function unpackDotLottie(buffer) {
+  const files = readZipDirectory(buffer);
+  const decoder = new TextDecoder();
+  const readText = (name) => readZipEntry(buffer, files.get(name))
+    .then((bytes) => decoder.decode(bytes));
+  const manifestRead = files.has('manifest.json')
+    ? readText('manifest.json').then((text) => JSON.parse(text))
+    : Promise.resolve({});
+  return manifestRead.then((manifest) => {
+    const animations = Array.isArray(manifest.animations) ? manifest.animations : [];
+    const id = manifest.activeAnimationId || manifest.initial?.animation || animations[0]?.id;
+    const candidates = id ? [`animations/${id}.json`, `a/${id}.json`] : [];
+    let name = candidates.find((n) => files.has(n));
+    if (!name) name = [...files.keys()].find((n) => /^(animations|a)\/[^/]+\.json$/.test(n));
+    if (!name) throw new Error('.lottie archive has no animation');
+    return readText(name).then((text) => {
+      const data = JSON.parse(text);
+      const entry = animations.find((a) => a.id === id);
+      return embedImages(data, buffer, files)
+        .then(() => ({ data, size: text.length, settings: pickPlayback(entry) }));
+    });
+  });
+}
+
+/**
+ * Parse a fetched animation body: JSON text, or a .lottie archive's bytes.
+ * @param {string|ArrayBuffer} body
+ * @returns {Promise<{data: object, size: number, settings: object}>}
+ */
+export function parseAnimationBody(body) {
+  if (typeof body !== 'string') return unpackDotLottie(body);
+  return Promise.resolve({ data: JSON.parse(body), size: body.length, settings: {} });
+}
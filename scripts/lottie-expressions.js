@@ -0,0 +1,408 @@
+/**
+ * AE expression preprocessing for Lottie JSON.
+ * Kept free of DOM and page dependencies so it runs both on the main thread and in
+ * lottie-worker.js.
+ *
+ * lottie-web's expression evaluator fails on EDS, so common expressions are baked into
+ * keyframes over the layer's lifetime instead:
+ *   loopOut / loopIn   'cycle', 'pingpong', 'offset' and 'continue' (optionally on the last /
+ *                      first n keyframes), on any keyframed property including shape paths
+ *   time * n           and value + time * n, on one-dimensional properties
+ *   wiggle(freq, amp)  on static properties, seeded by seedRandom(n) or the property path
+ * Bodymovin's $bm_rt / $bm_sum / $bm_mul rewrites of these are recognised too. Everything else
+ * is stripped, and reported.
+ */
+
+/** Upper bound on baked loop passes per property, to keep the JSON from ballooning. */
+const MAX_PASSES = 2000;
+
+const NUM = '(-?\\d+(?:\\.\\d+)?)';
+const LOOP_RE = /^(loopOut|loopIn)\((?:(?:type=)?(['"])(cycle|pingpong|offset|continue)\2)?(?:,(?:numKeyframes=)?(\d+))?\)$/;
+const TIME_RE = new RegExp(`^(?:time\\*${NUM}|${NUM}\\*time|\\$bm_mul\\(time,${NUM}\\)|\\$bm_mul\\(${NUM},time\\))$`);
+const VALUE_PLUS_RE = /^(?:value\+(.+)|(.+)\+value|\$bm_sum\(value,(.+)\)|\$bm_sum\((.+),value\))$/;
+const WIGGLE_RE = new RegExp(`^wiggle\\(${NUM},${NUM}\\)$`);
+const SEED_RE = new RegExp(`^seedRandom\\(${NUM}(?:,(?:true|false))?\\)$`);
+
+const LINEAR_OUT = { x: [0], y: [0] };
+const LINEAR_IN = { x: [1], y: [1] };
+const EASE_OUT = { x: [0.333], y: [0] };
+const EASE_IN = { x: [0.667], y: [1] };
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+const flip = (v) => (Array.isArray(v) ? v.map((n) => 1 - n) : 1 - v);
+const at = (v, i) => (Array.isArray(v) ? (v[i] ?? v[0]) : v);
+const isNumeric = (s) => Array.isArray(s) && s.every((n) => typeof n === 'number');
+
+/**
+ * Reduce an expression to a single statement without whitespace or Bodymovin boilerplate.
+ * @param {string} source Expression as exported
+ * @returns {{statement: string, seed: number|null}|null} null when there is more than one
+ *   statement left
+ */
+function normalizeExpression(source) {
+  let seed = null;
+  const statements = source
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/\/\/[^\n]*/g, '')
+    .replace(/\s+/g, '')
+    .split(';')
+    .filter((s) => s && s !== 'var$bm_rt')
+    .map((s) => s.replace(/^\$bm_rt=/, ''))
+    .filter((s) => {
+      const match = s.match(SEED_RE);
+      if (match) seed = Number(match[1]);
+      return !match;
+    });
+  return statements.length === 1 ? { statement: statements[0], seed } : null;
+}
+
+/** Deterministic PRNG (mulberry32) so wiggle bakes identically on every load. */
+function createRandom(seed) {
+  let state = seed >>> 0; // eslint-disable-line no-bitwise
+  return () => {
+    /* eslint-disable no-bitwise */
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    /* eslint-enable no-bitwise */
+  };
+}
+
+function hashString(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i += 1) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 16777619); // eslint-disable-line no-bitwise
+  }
+  return hash;
+}
+
+/**
+ * Keyframes with an explicit start value each (older exports only carry `e` on the previous key).
+ * @returns {object[]|null}
+ */
+function readKeyframes(prop) {
+  if (prop.a !== 1 || !Array.isArray(prop.k) || typeof prop.k[0] !== 'object' || !('t' in prop.k[0])) {
+    return null;
+  }
+  const keys = prop.k;
+  for (let i = 1; i < keys.length; i += 1) {
+    if (keys[i].s === undefined && keys[i - 1].e !== undefined) keys[i].s = keys[i - 1].e;
+  }
+  return keys.every((kf) => kf.s !== undefined) ? keys : null;
+}
+
+/** Copy of a keyframe run shifted in time (and, for 'offset', in value). */
+function shiftedPass(seg, shift, delta = null, times = 0) {
+  return seg.map((kf) => {
+    const key = copy(kf);
+    key.t = kf.t + shift;
+    if (delta) key.s = kf.s.map((n, i) => n + delta[i] * times);
+    delete key.e;
+    return key;
+  });
+}
+
+/** The keyframe run played backwards, starting at `start`; easing and tangents are mirrored. */
+function reversedPass(seg, start) {
+  const end = seg[seg.length - 1].t;
+  const keys = [];
+  for (let j = seg.length - 1; j >= 0; j -= 1) {
+    const t = start + (end - seg[j].t);
+    const prev = seg[j - 1];
+    if (!prev) {
+      keys.push({ t, s: copy(seg[j].s) });
+    } else if (prev.h === 1) {
+      // A hold keeps the earlier value, so reversed it jumps straight back to it.
+      keys.push({ t, s: copy(seg[j].s) }, { t, s: copy(prev.s), h: 1 });
+    } else {
+      const key = {
+        t,
+        s: copy(seg[j].s),
+        o: { x: flip(prev.i?.x ?? 1), y: flip(prev.i?.y ?? 1) },
+        i: { x: flip(prev.o?.x ?? 0), y: flip(prev.o?.y ?? 0) },
+      };
+      if (prev.ti) key.to = copy(prev.ti);
+      if (prev.to) key.ti = copy(prev.to);
+      keys.push(key);
+    }
+  }
+  return keys;
+}
+
+/**
+ * Per-frame velocity of each dimension where a keyframe segment ends (atEnd) or starts.
+ */
+function segmentVelocity(from, to, atEnd) {
+  const dt = to.t - from.t;
+  if (from.h === 1 || dt <= 0) return from.s.map(() => 0);
+  const eps = 1e-6;
+  return from.s.map((v, d) => {
+    const ox = at(from.o?.x ?? 0, d);
+    const oy = at(from.o?.y ?? 0, d);
+    const ix = at(from.i?.x ?? 1, d);
+    const iy = at(from.i?.y ?? 1, d);
+    let slope = 1;
+    if (atEnd) {
+      if (1 - ix > eps) slope = (1 - iy) / (1 - ix);
+      else if (1 - ox > eps) slope = (1 - oy) / (1 - ox);
+    } else if (ox > eps) slope = oy / ox;
+    else if (ix > eps) slope = iy / ix;
+    return (slope * (to.s[d] - v)) / dt;
+  });
+}
+
+/**
+ * Bake loopOut/loopIn into keyframes covering [start, end].
+ * @returns {string|null} Reason it could not be baked, or null
+ */
+function bakeLoop(prop, fn, type, count, start, end) {
+  const keys = readKeyframes(prop);
+  if (!keys) {
+    // Without keyframes the expression just returns the value.
+    return prop.a === 1 ? 'unreadable keyframes' : null;
+  }
+  if (keys.length < 2) return null;
+  const out = fn === 'loopOut';
+  const numeric = isNumeric(keys[0].s);
+  if ((type === 'offset' || type === 'continue') && !numeric) return `${type} needs numeric values`;
+
+  if (type === 'continue') {
+    if (out) {
+      const last = keys[keys.length - 1];
+      if (end <= last.t) return null;
+      const velocity = segmentVelocity(keys[keys.length - 2], last, true);
+      Object.assign(last, { o: copy(LINEAR_OUT), i: copy(LINEAR_IN) });
+      delete last.h;
+      keys.push({ t: end, s: last.s.map((v, d) => v + velocity[d] * (end - last.t)) });
+    } else {
+      const first = keys[0];
+      if (start >= first.t) return null;
+      const velocity = segmentVelocity(first, keys[1], false);
+      keys.unshift({
+        t: start,
+        s: first.s.map((v, d) => v - velocity[d] * (first.t - start)),
+        o: copy(LINEAR_OUT),
+        i: copy(LINEAR_IN),
+      });
+    }
+    return null;
+  }
+
+  const lastIndex = keys.length - 1;
+  const seg = out
+    ? keys.slice(count > 0 ? Math.max(lastIndex - count, 0) : 0)
+    : keys.slice(0, (count > 0 ? Math.min(count, lastIndex) : lastIndex) + 1);
+  const period = seg[seg.length - 1].t - seg[0].t;
+  if (period <= 0) return 'zero-length loop';
+  const span = out ? end - keys[lastIndex].t : keys[0].t - start;
+  const passes = Math.ceil(span / period);
+  if (passes <= 0) return null;
+  if (passes > MAX_PASSES) return `loop would need ${passes} passes`;
+  const delta = type === 'offset'
+    ? seg[seg.length - 1].s.map((v, d) => v - seg[0].s[d])
+    : null;
+
+  const baked = [];
+  for (let c = 1; c <= passes; c += 1) {
+    const shift = out ? c * period : -c * period;
+    let pass;
+    if (type === 'pingpong' && c % 2 === 1) {
+      const passStart = out ? seg[seg.length - 1].t + (c - 1) * period : seg[0].t - c * period;
+      pass = reversedPass(seg, passStart);
+    } else {
+      pass = shiftedPass(seg, shift, delta, out ? c : -c);
+    }
+    if (out) baked.push(...pass);
+    else baked.unshift(...pass);
+  }
+  prop.k = out ? [...keys, ...baked] : [...baked, ...keys];
+  return null;
+}
+
+/** Value of a static (a: 0) property as an array, or null when it is keyframed. */
+function staticValue(prop) {
+  if (prop.a === 1) return null;
+  if (typeof prop.k === 'number') return [prop.k];
+  return isNumeric(prop.k) ? prop.k : null;
+}
+
+/**
+ * Bake time * n (plus the static value for value + time * n) as a linear ramp.
+ * @returns {string|null} Reason it could not be baked, or null
+ */
+function bakeTime(prop, rate, addValue, frames) {
+  const { start, end, toSeconds } = frames;
+  let base = 0;
+  if (addValue) {
+    const value = staticValue(prop);
+    if (!value) return 'value + time on a keyframed property';
+    if (value.length !== 1) return 'time on a multi-dimensional property';
+    [base] = value;
+  } else {
+    const value = staticValue(prop) || readKeyframes(prop)?.[0]?.s;
+    if (!value || value.length !== 1) return 'time on a multi-dimensional property';
+  }
+  const valueAt = (t) => [base + toSeconds(t) * rate];
+  prop.a = 1;
+  prop.k = [
+    {
+      t: start, s: valueAt(start), o: copy(LINEAR_OUT), i: copy(LINEAR_IN),
+    },
+    { t: end, s: valueAt(end) },
+  ];
+  return null;
+}
+
+/**
+ * Bake wiggle(freq, amp) as eased keyframes around the static value.
+ * @returns {string|null} Reason it could not be baked, or null
+ */
+function bakeWiggle(prop, freq, amp, seed, frames, flat) {
+  const { start, end, fps } = frames;
+  const value = staticValue(prop);
+  if (!value) return 'wiggle on a keyframed property';
+  if (freq <= 0 || end <= start) return null;
+  const random = createRandom(seed);
+  // Two extremes per wiggle; never more than one key per frame.
+  const step = Math.max(fps / (freq * 2), 1);
+  const dims = flat && value.length === 3 ? 2 : value.length;
+  const keys = [];
+  for (let t = start; t < end + step; t += step) {
+    const time = Math.min(t, end);
+    const s = value.map((v, d) => (d < dims ? v + (random() * 2 - 1) * amp : v));
+    keys.push({
+      t: time, s, o: copy(EASE_OUT), i: copy(EASE_IN),
+    });
+    if (time >= end) break;
+  }
+  prop.a = 1;
+  prop.k = keys;
+  return null;
+}
+
+/**
+ * Try to bake one property's expression in place.
+ * @returns {string|null} Reason it could not be baked, or null when it was
+ */
+function bakeProperty(prop, layer, path, frames) {
+  const normalized = normalizeExpression(prop.x);
+  if (!normalized) return 'multiple statements';
+  const { statement, seed } = normalized;
+
+  const loop = statement.match(LOOP_RE);
+  if (loop) {
+    const [, fn, , type = 'cycle', count = '0'] = loop;
+    return bakeLoop(prop, fn, type, Number(count), frames.start, frames.end);
+  }
+
+  const plus = statement.match(VALUE_PLUS_RE);
+  const timeTerm = plus ? plus.slice(1).find(Boolean) : statement;
+  const time = timeTerm.match(TIME_RE);
+  if (time) return bakeTime(prop, Number(time.slice(1).find(Boolean)), !!plus, frames);
+
+  const wiggle = statement.match(WIGGLE_RE);
+  if (wiggle) {
+    const flat = layer.ddd !== 1 && /^ks\.[pa]$/.test(path);
+    const wiggleSeed = seed ?? hashString(`${layer.nm}|${path}`);
+    return bakeWiggle(prop, Number(wiggle[1]), Number(wiggle[2]), wiggleSeed, frames, flat);
+  }
+  return 'unsupported expression';
+}
+
+/**
+ * Bake the expressions of one layer's properties.
+ * @param {object} layer Lottie layer
+ * @param {number} fps Composition frame rate
+ * @param {object[]} report Collects one entry per expression
+ */
+function bakeLayer(layer, fps, report) {
+  const st = layer.st || 0;
+  const sr = layer.sr || 1;
+  // Property keyframes are in layer time; the layer is visible from ip to op in comp time.
+  const frames = {
+    start: Math.floor(((layer.ip || 0) - st) / sr),
+    end: Math.ceil(((Number.isFinite(layer.op) ? layer.op : 0) - st) / sr),
+    fps,
+    toSeconds: (t) => (st + t * sr) / fps,
+  };
+
+  const visit = (node, path) => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      node.forEach((item, i) => visit(item, `${path}[${item?.nm ?? i}]`));
+      return;
+    }
+    if (typeof node.x === 'string' && 'k' in node) {
+      const expression = node.x;
+      let reason;
+      try {
+        reason = bakeProperty(node, layer, path, frames);
+      } catch (err) {
+        reason = `bake failed: ${err.message}`;
+      }
+      if (!reason) delete node.x;
+      report.push({
+        layer: layer.nm ?? `#${layer.ind}`,
+        path,
+        expression: expression.trim(),
+        status: reason ? 'stripped' : 'baked',
+        ...(reason ? { reason } : {}),
+      });
+      return;
+    }
+    Object.keys(node).forEach((key) => visit(node[key], path ? `${path}.${key}` : key));
+  };
+  visit(layer, '');
+}
+
+/**
+ * Bake supported expressions into keyframes, in place, for every layer including those in
+ * precomps.
+ * @param {object} data Lottie JSON
+ * @returns {object[]} One entry per expression:
+ *   { layer, path, expression, status: 'baked'|'stripped', reason? }
+ */
+export function bakeExpressions(data) {
+  const report = [];
+  const fps = data.fr || 30;
+  const walk = (layers) => {
+    if (Array.isArray(layers)) layers.forEach((layer) => bakeLayer(layer, fps, report));
+  };
+  walk(data.layers);
+  if (Array.isArray(data.assets)) data.assets.forEach((asset) => walk(asset.layers));
+  return report;
+}
+
+/**
+ * Remove any remaining .x (expression) properties so lottie-web does not run the expression
+ * evaluator on EDS (which can silently fail and produce empty SVG). Whatever bakeExpressions
+ * could not turn into keyframes (valueAtTime, custom scripts, …) is removed here.
+ * When we hit a cycle we still strip .x on that object so every node gets cleaned.
+ */
+export function stripRemainingExpressions(obj, seen = new Set()) {
+  if (!obj || typeof obj !== 'object') return;
+  if (seen.has(obj)) {
+    if (!Array.isArray(obj) && 'x' in obj && typeof obj.x === 'string') delete obj.x;
+    return;
+  }
+  seen.add(obj);
+  if (Array.isArray(obj)) {
+    obj.forEach((item) => stripRemainingExpressions(item, seen));
+    return;
+  }
+  if ('x' in obj && typeof obj.x === 'string') delete obj.x;
+  Object.values(obj).forEach((v) => stripRemainingExpressions(v, seen));
+}
+
+/**
+ * Prepare freshly parsed animation data for lottie-web (mutates it in place).
+ * @param {object} data Lottie JSON
+ * @returns {object[]} Expression report from bakeExpressions
+ */
+export function preprocessAnimation(data) {
+  const report = bakeExpressions(data);
+  stripRemainingExpressions(data);
+  return report;
+}
@@ -0,0 +1,67 @@
+/**
+ * What happens when an animation can't be loaded (block table rows).
+ *
+ *   retries  | 2      extra attempts after a network error or timeout, with backoff (0–5)
+ *   timeout  | 15     seconds to wait for the animation JSON
+ *   fallback | image, picture or text shown instead of the animation
+ *
+ * The fallback cell is kept in an inert <template>, so its images are only requested when
+ * the animation actually fails. Without one the block keeps its poster (lottie-poster.js) or
+ * is left empty; the inline error message is only shown in diagnostics mode.
+ */
+import { warn, getConfigCell } from './lottie-utils.js';
+
+export const LOAD_DEFAULTS = { retries: 2, timeout: 15000 };
+const MAX_RETRIES = 5;
+
+/**
+ * Read the retries and timeout rows.
+ * @param {object} config Result of readBlockConfig
+ * @returns {{retries: number, timeout: number}} timeout in ms
+ */
+export function readLoadOptions(config = {}) {
+  const options = { ...LOAD_DEFAULTS };
+  if (config.retries != null && String(config.retries).trim() !== '') {
+    const retries = Number(config.retries);
+    if (Number.isInteger(retries) && retries >= 0) options.retries = Math.min(retries, MAX_RETRIES);
+    else warn('ignoring invalid retries', config.retries);
+  }
+  if (config.timeout != null && String(config.timeout).trim() !== '') {
+    const seconds = Number(String(config.timeout).trim().replace(/s$/i, ''));
+    if (Number.isFinite(seconds) && seconds > 0) options.timeout = Math.round(seconds * 1000);
+    else warn('ignoring invalid timeout', config.timeout);
+  }
+  return options;
+}
+
+/**
+ * Take the fallback row's content out of the block before it is cleared.
+ * @param {Element} block
+ * @returns {HTMLTemplateElement|null}
+ */
+export function readFallback(block) {
+  const cell = getConfigCell(block, 'fallback');
+  if (!cell || (!cell.textContent.trim() && !cell.querySelector('img, picture'))) return null;
+  const template = document.createElement('template');
+  template.content.append(...cell.childNodes);
+  return template;
+}
+
+/**
+ * Replace the container's content with a copy of the fallback.
+ * @param {Element} container .lottie-container
+ * @param {HTMLTemplateElement} fallback From readFallback
+ */
+export function showFallback(container, fallback) {
+  const content = document.importNode(fallback.content, true);
+  content.querySelectorAll('img').forEach((img) => { img.loading = 'eager'; });
+  const wrapper = document.createElement('div');
+  wrapper.className = 'lottie-fallback';
+  wrapper.append(content);
+  // The fallback carries its own semantics (alt text, copy) instead of the role="img" label.
+  container.removeAttribute('role');
+  container.removeAttribute('aria-label');
+  // Size to the fallback content rather than the animation's reserved box.
+  container.style.aspectRatio = 'auto';
+  container.replaceChildren(wrapper);
+}
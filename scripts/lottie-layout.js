@@ -0,0 +1,80 @@
+/**
+ * Sizing of Lottie blocks by aspect ratio (block table rows).
+ *
+ *   width   | 610       with height: the box's proportions, reserved before the JSON is fetched
+ *   height  | 352
+ *   fit     | contain   how the animation fills a box of other proportions: contain, cover, fill
+ *
+ * The container's aspect-ratio comes from the custom property --lottie-aspect-ratio. Without
+ * width/height rows it is the poster's (lottie-poster.js) until the JSON arrives, then the
+ * animation's own w/h; block CSS supplies a fallback for the preset animation.
+ */
+import { warn } from './lottie-utils.js';
+
+/** fit row → lottie-web rendererSettings.preserveAspectRatio */
+const FIT_ASPECT = {
+  contain: 'xMidYMid meet',
+  cover: 'xMidYMid slice',
+  fill: 'none',
+};
+
+function toDimension(value) {
+  if (value == null || String(value).trim() === '') return null;
+  const n = Number(String(value).trim().replace(/px$/i, ''));
+  return Number.isFinite(n) && n > 0 ? n : undefined;
+}
+
+/**
+ * Read the width, height and fit rows.
+ * @param {object} config Result of readBlockConfig
+ * @returns {{width: number|null, height: number|null, fit: string}} width and height are
+ *   both set or both null
+ */
+export function readLayoutOptions(config = {}) {
+  const layout = { width: null, height: null, fit: 'contain' };
+  const width = toDimension(config.width);
+  const height = toDimension(config.height);
+  if (width && height) {
+    layout.width = width;
+    layout.height = height;
+  } else if (width !== null || height !== null) {
+    warn('ignoring width/height; give both as positive numbers', config.width, config.height);
+  }
+  if (config.fit != null && String(config.fit).trim() !== '') {
+    const fit = String(config.fit).trim().toLowerCase();
+    if (FIT_ASPECT[fit]) layout.fit = fit;
+    else warn('ignoring invalid fit', config.fit);
+  }
+  return layout;
+}
+
+/**
+ * Map a fit value to lottie-web's preserveAspectRatio setting.
+ * @param {string} [fit] contain, cover or fill
+ * @returns {string} preserveAspectRatio value for lottie-web
+ */
+export function getPreserveAspectRatio(fit = 'contain') {
+  return FIT_ASPECT[fit] || FIT_ASPECT.contain;
+}
+
+/**
+ * Size the container to width:height.
+ * @param {Element} container .lottie-container
+ * @param {number} width
+ * @param {number} height
+ * @returns {boolean} false when the dimensions are unusable
+ */
+export function setAspectRatio(container, width, height) {
+  if (!(width > 0 && height > 0)) return false;
+  container.style.setProperty('--lottie-aspect-ratio', `${width} / ${height}`);
+  return true;
+}
+
+/**
+ * Whether an aspect ratio was already set (rows or poster).
+ * @param {Element} container
+ * @returns {boolean}
+ */
+export function hasAspectRatio(container) {
+  return container.style.getPropertyValue('--lottie-aspect-ratio') !== '';
+}
@@ -0,0 +1,136 @@
+/**
+ * prefers-reduced-motion support for Lottie blocks.
+ * When the user asks for reduced motion the animation does not start: it shows a poster frame
+ * (poster-frame | 120, or a marker name) and an accessible play button instead. Changes to the
+ * media query at runtime are honoured in both directions.
+ */
+import { log } from './lottie-utils.js';
+import { resolveNamedSegment } from './lottie-segments.js';
+import { reportInteraction } from './lottie-telemetry.js';
+
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+export function prefersReducedMotion() {
+  return typeof window !== 'undefined' && !!window.matchMedia
+    && window.matchMedia(REDUCED_MOTION_QUERY).matches;
+}
+
+/**
+ * Read the poster-frame row.
+ * @param {object} config Result of readBlockConfig
+ * @returns {number|string|null} Absolute frame, marker name, or null when not set
+ */
+export function readPosterFrame(config = {}) {
+  const raw = String(config['poster-frame'] ?? '').trim();
+  if (!raw) return null;
+  const frame = Number(raw);
+  return Number.isFinite(frame) && frame >= 0 ? frame : raw;
+}
+
+/**
+ * Resolve the poster frame to an absolute frame number.
+ * @param {number|string|null} posterFrame From readPosterFrame
+ * @param {Object<string, number[]>} segments Named segments from parseMarkerSegments
+ * @param {number} fallback Frame used when nothing (valid) is configured
+ * @returns {number}
+ */
+export function resolvePosterFrame(posterFrame, segments, fallback) {
+  if (typeof posterFrame === 'number') return posterFrame;
+  if (posterFrame) {
+    const segment = resolveNamedSegment(posterFrame, segments);
+    if (segment) return segment[0];
+  }
+  return fallback;
+}
+
+/**
+ * Gate playback on the user's motion preference.
+ * @param {Element} container .lottie-container
+ * @param {object} controller From createLottieController (attached)
+ * @param {object} options
+ * @param {number} options.posterFrame Absolute frame shown while motion is reduced
+ * @param {function(): function} options.start Starts normal playback, returns its cleanup
+ * @param {boolean} [options.toggleable] Button pauses/resumes after starting (clock modes);
+ *   otherwise it only starts playback and then hides (scroll mode)
+ * @param {boolean} [options.button] Render the play button (off when the control bar is shown)
+ * @returns {{play: function(), cleanup: function}} play does what the play button does (starts
+ *   the block's mode the first time), for the control bar to use in its place
+ */
+export function bindReducedMotion(container, controller, options) {
+  const {
+    posterFrame, start, toggleable = true, button: withButton = true,
+  } = options;
+  const mql = window.matchMedia ? window.matchMedia(REDUCED_MOTION_QUERY) : null;
+  let stopPlayback = null;
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'lottie-motion-play';
+  button.setAttribute('aria-controls', container.id);
+  button.hidden = true;
+  if (withButton) container.after(button);
+
+  const setLabel = (playing) => {
+    const label = playing ? 'Pause animation' : 'Play animation';
+    button.setAttribute('aria-label', label);
+    button.title = label;
+    button.dataset.state = playing ? 'playing' : 'paused';
+  };
+
+  const run = () => {
+    if (!stopPlayback) stopPlayback = start() || (() => {});
+  };
+  const halt = () => {
+    if (stopPlayback) stopPlayback();
+    stopPlayback = null;
+  };
+
+  const apply = (reduced) => {
+    container.dataset.lottieReducedMotion = String(reduced);
+    if (reduced) {
+      halt();
+      controller.pause().seek(posterFrame);
+      setLabel(false);
+      button.hidden = false;
+      log('reduced motion: poster frame', posterFrame);
+    } else {
+      button.hidden = true;
+      run();
+    }
+  };
+
+  const play = () => {
+    if (!stopPlayback) {
+      run();
+      if (!toggleable) {
+        button.hidden = true;
+        return;
+      }
+    }
+    controller.play();
+  };
+
+  button.addEventListener('click', () => {
+    const playing = !!stopPlayback && !controller.isPaused;
+    reportInteraction(container, playing ? 'pause' : 'play');
+    if (playing) controller.pause();
+    else play();
+  });
+  const onPlay = () => setLabel(true);
+  const onPause = () => setLabel(false);
+  container.addEventListener('lottie:play', onPlay);
+  container.addEventListener('lottie:pause', onPause);
+
+  const onChange = (e) => apply(e.matches);
+  if (mql) mql.addEventListener('change', onChange);
+  apply(!!mql?.matches);
+
+  const cleanup = () => {
+    if (mql) mql.removeEventListener('change', onChange);
+    container.removeEventListener('lottie:play', onPlay);
+    container.removeEventListener('lottie:pause', onPause);
+    button.remove();
+    halt();
+  };
+  return { play, cleanup };
+}
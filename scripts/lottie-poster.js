@@ -0,0 +1,114 @@
+/**
+ * Static poster shown until the animation has rendered (poster row).
+ *
+ *   poster | <image>             authored image, delivered through createOptimizedPicture
+ *   poster | /media/frame.svg    a pre-rendered SVG frame of the animation (link or path)
+ *
+ * SVG and cross-origin posters are shown as a plain <img>: createOptimizedPicture asks for
+ * ?width=…&format=webply&optimize=medium variants, which only EDS serves (other hosts ignore
+ * or reject the query).
+ *
+ * The poster is placed in the container when the block is decorated, so it can be the LCP
+ * element of the first section. Unless width/height rows are given, the container reserves
+ * the image's aspect ratio until the animation's own is known (lottie-layout.js).
+ * On lottie:ready (lottie-web's DOMLoaded) the poster fades out over the live animation and
+ * is removed. If the animation fails without a fallback row, the poster stays.
+ */
+import { createOptimizedPicture } from './aem.js';
+import { getConfigCell } from './lottie-utils.js';
+import { setAspectRatio, hasAspectRatio } from './lottie-layout.js';
+
+/** Removal delay when transitionend doesn't fire (reduced motion, hidden tab). */
+const FADE_TIMEOUT_MS = 1000;
+
+function toDimension(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/**
+ * Read the poster row.
+ * @param {Element} block
+ * @returns {{src: string, width: number|null, height: number|null}|null}
+ */
+export function readPoster(block) {
+  const cell = getConfigCell(block, 'poster');
+  if (!cell) return null;
+  const img = cell.querySelector('img');
+  if (img) {
+    return {
+      src: img.getAttribute('src'),
+      width: toDimension(img.getAttribute('width')),
+      height: toDimension(img.getAttribute('height')),
+    };
+  }
+  const src = cell.querySelector('a')?.getAttribute('href') || cell.textContent.trim();
+  return src ? { src, width: null, height: null } : null;
+}
+
+/**
+ * True when the poster can go through createOptimizedPicture: a same-origin raster image.
+ * @param {string} src
+ * @returns {boolean}
+ */
+function isOptimizable(src) {
+  const url = new URL(src, window.location.href);
+  return url.origin === window.location.origin && !url.pathname.toLowerCase().endsWith('.svg');
+}
+
+/**
+ * True when the block is in the first section, where the poster may be the LCP element.
+ * @param {Element} block
+ * @returns {boolean}
+ */
+export function isInFirstSection(block) {
+  const first = document.querySelector('main .section');
+  return !!first && first.contains(block);
+}
+
+/**
+ * Show the poster in the container and fade it out once the animation is ready.
+ * @param {Element} container .lottie-container (role="img" carries the label, so alt is empty)
+ * @param {{src: string, width: number|null, height: number|null}} poster From readPoster
+ * @param {boolean} [eager] Load at high priority (first section)
+ */
+export function showPoster(container, poster, eager = false) {
+  const { src, width, height } = poster;
+  let media;
+  if (isOptimizable(src)) {
+    media = createOptimizedPicture(src, '', eager);
+  } else {
+    media = document.createElement('img');
+    media.src = src;
+    media.alt = '';
+    media.loading = eager ? 'eager' : 'lazy';
+  }
+  const img = media.querySelector?.('img') || media;
+  img.decoding = 'async';
+  if (eager) img.setAttribute('fetchpriority', 'high');
+  if (width && height) {
+    img.width = width;
+    img.height = height;
+    if (!hasAspectRatio(container)) setAspectRatio(container, width, height);
+  } else {
+    img.addEventListener('load', () => {
+      if (hasAspectRatio(container)) return;
+      setAspectRatio(container, img.naturalWidth, img.naturalHeight);
+    }, { once: true });
+  }
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'lottie-poster';
+  wrapper.append(media);
+  container.prepend(wrapper);
+
+  const remove = () => wrapper.remove();
+  const onReady = (e) => {
+    if (e.target !== container) return;
+    container.removeEventListener('lottie:ready', onReady);
+    wrapper.addEventListener('transitionend', remove, { once: true });
+    setTimeout(remove, FADE_TIMEOUT_MS);
+    wrapper.classList.add('lottie-poster-hidden');
+  };
+  container.addEventListener('lottie:ready', onReady);
+}
@@ -0,0 +1,102 @@
+/**
+ * Renderer selection for Lottie blocks (renderer row).
+ *
+ *   renderer | svg      default; crisp at any size, one DOM node per shape
+ *   renderer | canvas   one <canvas>; cheaper for very heavy files
+ *   renderer | auto     canvas when the animation JSON is larger than AUTO_CANVAS_BYTES
+ *
+ * Canvas output is sized for devicePixelRatio and follows container and DPR changes.
+ */
+import { log, warn } from './lottie-utils.js';
+
+const RENDERERS = ['svg', 'canvas', 'auto'];
+
+/** JSON size above which renderer | auto picks canvas (e.g. the 1.2 MB swivel.json). */
+const AUTO_CANVAS_BYTES = 500 * 1024;
+
+/** Cap the backing store so large retina canvases don't exhaust GPU memory. */
+const MAX_DPR = 2;
+
+/**
+ * Read the renderer row.
+ * @param {object} config Result of readBlockConfig
+ * @returns {string} 'svg', 'canvas' or 'auto'
+ */
+export function readRenderer(config = {}) {
+  const raw = String(config.renderer ?? '').trim().toLowerCase();
+  if (!raw) return 'svg';
+  if (RENDERERS.includes(raw)) return raw;
+  warn('ignoring invalid renderer', config.renderer);
+  return 'svg';
+}
+
+/**
+ * Resolve renderer | auto from the animation's size.
+ * @param {string} mode From readRenderer
+ * @param {number} bytes Size of the animation JSON
+ * @returns {string} 'svg' or 'canvas'
+ */
+export function chooseRenderer(mode, bytes) {
+  if (mode !== 'auto') return mode;
+  const renderer = bytes > AUTO_CANVAS_BYTES ? 'canvas' : 'svg';
+  log('renderer auto →', renderer, `(${Math.round(bytes / 1024)} KB)`);
+  return renderer;
+}
+
+function getDpr() {
+  return Math.min(window.devicePixelRatio || 1, MAX_DPR);
+}
+
+/**
+ * lottie-web rendererSettings for the chosen renderer.
+ * @param {string} renderer 'svg' or 'canvas'
+ * @param {string} [preserveAspectRatio] From getPreserveAspectRatio (fit row)
+ * @returns {object}
+ */
+export function getRendererSettings(renderer, preserveAspectRatio = 'xMidYMid meet') {
+  if (renderer === 'canvas') {
+    return { preserveAspectRatio, clearCanvas: true, dpr: getDpr() };
+  }
+  return { preserveAspectRatio, progressiveLoad: false };
+}
+
+/**
+ * Keep a canvas animation sharp: resize with its container and when devicePixelRatio
+ * changes (zoom, moving the window to another screen).
+ * @param {object} anim lottie-web AnimationItem (canvas renderer)
+ * @param {Element} inner Render target
+ * @returns {function} Cleanup
+ */
+export function bindCanvasSizing(anim, inner) {
+  let frameRequested = false;
+  const resize = () => {
+    if (frameRequested) return;
+    frameRequested = true;
+    requestAnimationFrame(() => {
+      frameRequested = false;
+      if (anim.renderer?.renderConfig) anim.renderer.renderConfig.dpr = getDpr();
+      anim.resize();
+    });
+  };
+
+  const resizeObserver = typeof ResizeObserver !== 'undefined' ? new ResizeObserver(resize) : null;
+  if (resizeObserver) resizeObserver.observe(inner);
+
+  // A resolution query only matches the current DPR, so re-arm it after every change.
+  const matchDpr = () => (window.matchMedia
+    ? window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`)
+    : null);
+  let mql = matchDpr();
+  const onDprChange = () => {
+    resize();
+    mql.removeEventListener('change', onDprChange);
+    mql = matchDpr();
+    if (mql) mql.addEventListener('change', onDprChange);
+  };
+  if (mql) mql.addEventListener('change', onDprChange);
+
+  return () => {
+    if (resizeObserver) resizeObserver.disconnect();
+    if (mql) mql.removeEventListener('change', onDprChange);
+  };
+}
@@ -0,0 +1,151 @@
+/**
+ * Scroll-synchronised playback for Lottie blocks (mode | scroll).
+ * Animation progress follows the container's position in the viewport instead of a clock.
+ *
+ * Rows: scroll-start (default 100%) — progress 0 when the container top reaches this point
+ * of the viewport (100% = bottom edge); scroll-end (default 0%) — progress 1 when the
+ * container bottom reaches this point; scroll-easing (linear, ease-in, ease-out, ease-in-out);
+ * scroll-pin (true or a scroll length such as 300vh) — keep the section sticky while
+ * the animation scrubs.
+ */
+import {
+  log, warn, toBoolean, observeVisibility,
+} from './lottie-utils.js';
+
+const EASINGS = {
+  linear: (t) => t,
+  'ease-in': (t) => t * t,
+  'ease-out': (t) => 1 - (1 - t) * (1 - t),
+  'ease-in-out': (t) => (t < 0.5 ? 2 * t * t : 1 - ((-2 * t + 2) ** 2) / 2),
+};
+
+const DEFAULT_PIN_LENGTH = '200vh';
+
+/**
+ * Parse a viewport offset such as 80%, 0.8 or 80.
+ * @returns {number|undefined} Fraction of the viewport height (0–1)
+ */
+function toViewportFraction(value) {
+  const v = String(value).trim();
+  const num = parseFloat(v);
+  if (!Number.isFinite(num)) return undefined;
+  const fraction = v.endsWith('%') || num > 1 ? num / 100 : num;
+  return Math.min(Math.max(fraction, 0), 1);
+}
+
+/**
+ * Read scroll-mode rows from the block config.
+ * @param {object} config Result of readBlockConfig
+ * @returns {object|null} Scroll options, or null when the block is not in scroll mode
+ */
+export function readScrollOptions(config = {}) {
+  const mode = String(config.mode || '').trim().toLowerCase();
+  if (mode !== 'scroll') return null;
+
+  const scroll = {
+    start: 1,
+    end: 0,
+    easing: 'linear',
+    pin: null,
+  };
+  ['start', 'end'].forEach((key) => {
+    const raw = config[`scroll-${key}`];
+    if (raw == null || String(raw).trim() === '') return;
+    const fraction = toViewportFraction(raw);
+    if (fraction !== undefined) scroll[key] = fraction;
+    else warn(`ignoring invalid scroll-${key}`, raw);
+  });
+  if (config['scroll-easing']) {
+    const easing = String(config['scroll-easing']).trim().toLowerCase();
+    if (EASINGS[easing]) scroll.easing = easing;
+    else warn('ignoring invalid scroll-easing', config['scroll-easing']);
+  }
+  if (config['scroll-pin']) {
+    const raw = String(config['scroll-pin']).trim();
+    const bool = toBoolean(raw);
+    if (bool === true) scroll.pin = DEFAULT_PIN_LENGTH;
+    else if (/^\d+(\.\d+)?(vh|px|rem|em|%)$/.test(raw)) scroll.pin = raw;
+    else if (bool !== false) warn('ignoring invalid scroll-pin', raw);
+  }
+  return scroll;
+}
+
+/**
+ * Progress (0–1) of the container between the configured start and end offsets.
+ */
+function getProgress(container, section, scroll) {
+  const vh = window.innerHeight || document.documentElement.clientHeight;
+  if (scroll.pin && section) {
+    const rect = section.getBoundingClientRect();
+    const distance = rect.height - vh;
+    return distance > 0 ? -rect.top / distance : 0;
+  }
+  const rect = container.getBoundingClientRect();
+  const from = vh * scroll.start; // top edge position at progress 0
+  const to = vh * scroll.end - rect.height; // top edge position at progress 1
+  const distance = from - to;
+  return distance > 0 ? (from - rect.top) / distance : 0;
+}
+
+/**
+ * Drive the animation frame from the scroll position while the container is on screen.
+ * Uses anim.goToAndStop so lottie-web never runs its own clock.
+ * @param {Element} container .lottie-container
+ * @param {object} anim lottie-web AnimationItem
+ * @param {object} scroll Options from readScrollOptions
+ * @returns {function} Cleanup
+ */
+export function bindScrollPlayback(container, anim, scroll) {
+  const section = scroll.pin ? container.closest('.section') : null;
+  if (section) {
+    section.classList.add('lottie-scroll-pin');
+    section.style.setProperty('--lottie-scroll-length', scroll.pin);
+  }
+  const ease = EASINGS[scroll.easing] || EASINGS.linear;
+
+  let frameRequested = false;
+  const update = () => {
+    frameRequested = false;
+    const progress = Math.min(Math.max(getProgress(container, section, scroll), 0), 1);
+    const frame = ease(progress) * Math.max(anim.totalFrames - 1, 0);
+    anim.goToAndStop(frame, true);
+    container.dataset.lottieProgress = progress.toFixed(3);
+  };
+  const onScroll = () => {
+    if (frameRequested) return;
+    frameRequested = true;
+    requestAnimationFrame(update);
+  };
+
+  let listening = false;
+  const listen = (on) => {
+    if (on === listening) return;
+    listening = on;
+    if (on) {
+      window.addEventListener('scroll', onScroll, { passive: true });
+      window.addEventListener('resize', onScroll, { passive: true });
+      onScroll();
+    } else {
+      window.removeEventListener('scroll', onScroll);
+      window.removeEventListener('resize', onScroll);
+    }
+  };
+
+  // Only track scroll while the block (or its pinned section) is near the viewport.
+  const observer = observeVisibility(section || container, (visible) => {
+    listen(visible);
+    // Snap to the nearest end when scrolled past quickly.
+    if (!visible) update();
+  }, '100px');
+  update();
+  log('scroll mode', scroll);
+
+  return () => {
+    observer.disconnect();
+    listen(false);
+    if (section) {
+      section.classList.remove('lottie-scroll-pin');
+      section.style.removeProperty('--lottie-scroll-length');
+    }
+  };
+}
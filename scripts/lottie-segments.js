@@ -0,0 +1,131 @@
+/**
+ * Named segments from After Effects markers, and segment sequences.
+ *
+ * Each entry of the animation's `markers` array (`cm` name, `tm` start frame, `dr` duration)
+ * becomes a named segment. A marker without a duration runs until the next marker (or the end
+ * of the animation). Authors chain segments in the block table:
+ *
+ *   play | intro then loop:main
+ *
+ * Steps are separated by "then"; each step is a marker name or a frame range (10-60),
+ * prefixed with "loop:" to repeat it forever.
+ */
+import { warn } from './lottie-utils.js';
+
+/**
+ * Parse "10-60" into [10, 60].
+ * @param {string} value
+ * @returns {number[]|undefined}
+ */
+export function parseFrameRange(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*-\s*(\d+(?:\.\d+)?)$/);
+  if (!match) return undefined;
+  const range = [Number(match[1]), Number(match[2])];
+  return range[0] === range[1] ? undefined : range;
+}
+
+/**
+ * Marker name from `cm`, which may be plain text, JSON ({"name": …}) or "name: …" lines,
+ * matching how lottie-web reads marker payloads.
+ */
+function getMarkerName(cm) {
+  if (cm == null) return '';
+  const text = String(cm);
+  try {
+    const payload = JSON.parse(text);
+    if (payload && typeof payload === 'object' && payload.name) return String(payload.name);
+  } catch {
+    // not JSON
+  }
+  const line = text.split(/\r?\n/).find((l) => /^\s*name\s*:/.test(l));
+  return line ? line.split(':').slice(1).join(':').trim() : text.trim();
+}
+
+/**
+ * Build named segments from the animation's markers.
+ * @param {object} animationData Lottie JSON
+ * @returns {Object<string, number[]>} Marker name → [start, end] absolute frames
+ */
+export function parseMarkerSegments(animationData) {
+  const markers = Array.isArray(animationData?.markers) ? animationData.markers : [];
+  const op = Number.isFinite(animationData?.op) ? animationData.op : null;
+  const sorted = markers
+    .filter((m) => Number.isFinite(m.tm))
+    .sort((a, b) => a.tm - b.tm);
+  const segments = {};
+  sorted.forEach((marker, i) => {
+    const name = getMarkerName(marker.cm);
+    if (!name) return;
+    let end = marker.dr > 0 ? marker.tm + marker.dr : null;
+    if (end == null) end = sorted[i + 1] ? sorted[i + 1].tm : op;
+    if (end == null || end <= marker.tm) return;
+    segments[name] = [marker.tm, end];
+  });
+  return segments;
+}
+
+/**
+ * Resolve a marker name or frame range to [start, end].
+ * @param {string|number[]} ref
+ * @param {Object<string, number[]>} segments From parseMarkerSegments
+ * @returns {number[]|undefined}
+ */
+export function resolveNamedSegment(ref, segments = {}) {
+  if (Array.isArray(ref)) return ref;
+  const key = String(ref).trim();
+  if (Object.prototype.hasOwnProperty.call(segments, key)) return segments[key];
+  return parseFrameRange(key);
+}
+
+/**
+ * Parse "intro then loop:main" into steps.
+ * @param {string} value
+ * @returns {{ref: string, loop: boolean}[]}
+ */
+export function parseSequence(value) {
+  return String(value || '')
+    .split(/\s+then\s+|\s*->\s*/i)
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const loop = /^loop\s*:/i.test(part);
+      return { ref: loop ? part.replace(/^loop\s*:\s*/i, '') : part, loop };
+    });
+}
+
+/**
+ * Play a sequence of segments, chaining on lottie-web's complete event.
+ * A looping step repeats until the sequence is cancelled.
+ * @param {object} anim lottie-web AnimationItem
+ * @param {{ref: string, loop: boolean}[]} steps From parseSequence
+ * @param {Object<string, number[]>} segments From parseMarkerSegments
+ * @returns {function} Cancel
+ */
+export function playSequence(anim, steps, segments) {
+  const resolved = steps
+    .map((step) => ({ ...step, range: resolveNamedSegment(step.ref, segments) }))
+    .filter((step) => {
+      if (!step.range) warn('unknown segment', step.ref);
+      return !!step.range;
+    });
+  if (!resolved.length) return () => {};
+
+  let index = 0;
+  let cancelled = false;
+  const playStep = () => {
+    const step = resolved[index];
+    anim.loop = step.loop;
+    anim.playSegments(step.range, true);
+  };
+  const onComplete = () => {
+    if (cancelled || index >= resolved.length - 1) return;
+    index += 1;
+    playStep();
+  };
+  anim.addEventListener('complete', onComplete);
+  playStep();
+  return () => {
+    cancelled = true;
+    anim.removeEventListener('complete', onComplete);
+  };
+}
@@ -0,0 +1,71 @@
+/**
+ * Real-user monitoring for Lottie blocks through aem.js sampleRUM, so the page's sampling
+ * rate and selection apply. Every checkpoint uses the animation URL as source:
+ *
+ *   lottie-load          target: ms from the start of loading until the first render
+ *   lottie-error         target: reason — script, network, parse or render
+ *   lottie-viewed        target: container id; once, when at least half of it was on screen
+ *   lottie-interaction   target: hover, click, toggle, external, play, pause, restart, scrub;
+ *                        once per type and container
+ */
+import { sampleRUM } from './aem.js';
+import { observeVisibility } from './lottie-utils.js';
+
+const reportedInteractions = new WeakMap();
+
+function getSource(container) {
+  return container.getAttribute('data-jsonsrc') || `#${container.id}`;
+}
+
+/**
+ * Report the first interaction of a kind with a block.
+ * @param {Element} container .lottie-container
+ * @param {string} type e.g. 'click', 'play'
+ */
+export function reportInteraction(container, type) {
+  const seen = reportedInteractions.get(container) || new Set();
+  if (seen.has(type)) return;
+  seen.add(type);
+  reportedInteractions.set(container, seen);
+  sampleRUM('lottie-interaction', { source: getSource(container), target: type });
+}
+
+/**
+ * Report load, error and view checkpoints from the container's lottie:* events.
+ * @param {Element} container .lottie-container
+ * @returns {function} Cleanup
+ */
+export function bindTelemetry(container) {
+  let viewObserver = null;
+  const stopViewing = () => {
+    if (viewObserver) viewObserver.disconnect();
+    viewObserver = null;
+  };
+
+  const onReady = (e) => {
+    if (e.target !== container) return;
+    const ms = e.detail?.timings?.ready;
+    sampleRUM('lottie-load', {
+      source: getSource(container),
+      target: Number.isFinite(ms) ? String(ms) : '',
+    });
+    viewObserver = observeVisibility(container, (visible, entry) => {
+      if (!visible || entry.intersectionRatio < 0.5) return;
+      stopViewing();
+      sampleRUM('lottie-viewed', { source: getSource(container), target: container.id });
+    }, '0px', 0.5);
+  };
+  const onError = (e) => {
+    if (e.target !== container) return;
+    stopViewing();
+    sampleRUM('lottie-error', { source: getSource(container), target: e.detail?.reason || 'render' });
+  };
+
+  container.addEventListener('lottie:ready', onReady);
+  container.addEventListener('lottie:error', onError);
+  return () => {
+    stopViewing();
+    container.removeEventListener('lottie:ready', onReady);
+    container.removeEventListener('lottie:error', onError);
+  };
+}
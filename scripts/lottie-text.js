@@ -0,0 +1,127 @@
+/**
+ * Replace the copy of text layers (ty: 5) by layer name, so one animation serves every locale.
+ *
+ *   text:headline | Nuevo texto     block table row; paragraphs become line breaks
+ *
+ * Page metadata "lottie-placeholders" names a sheet (e.g. /placeholders.json) with a Key
+ * column ("text:headline") and one column per language ("en", "es", "de-ch", …); the column
+ * for the page's <html lang> (or its primary language) applies to every Lottie block on the
+ * page, and block rows win over it. Layer names match like block table keys, case- and
+ * punctuation-insensitively, in the main composition and in precomps.
+ * Animations that draw text from embedded glyphs (chars) can only show characters they
+ * include; overrides with missing glyphs are reported.
+ */
+import { getMetadata, toClassName } from './aem.js';
+import { log, warn } from './lottie-utils.js';
+
+const ROW_PREFIX = 'text-';
+
+let placeholderTexts = null;
+
+function toLayerText(value) {
+  const paragraphs = Array.isArray(value) ? value : [value];
+  // lottie-web breaks lines at \r.
+  return paragraphs.map((p) => String(p).trim()).join('\r').replace(/\r?\n/g, '\r');
+}
+
+/**
+ * Read text:<layer> rows (readBlockConfig turns "text:headline" into "text-headline").
+ * @param {object} config Result of readBlockConfig
+ * @returns {object} Layer key (toClassName of the layer name) → text
+ */
+export function readTextOverrides(config = {}) {
+  const texts = {};
+  Object.entries(config).forEach(([key, value]) => {
+    if (!key.startsWith(ROW_PREFIX) || key.length === ROW_PREFIX.length) return;
+    texts[key.slice(ROW_PREFIX.length)] = toLayerText(value);
+  });
+  return texts;
+}
+
+function pickLanguageColumn(row) {
+  const lang = (document.documentElement.lang || '').toLowerCase();
+  const columns = Object.keys(row).reduce((map, key) => map.set(key.toLowerCase(), key), new Map());
+  const key = [lang, lang.split('-')[0]].find((candidate) => candidate && columns.has(candidate));
+  return key ? columns.get(key) : null;
+}
+
+/**
+ * Texts for the page language from the lottie-placeholders sheet, fetched once per page.
+ * @returns {Promise<object>} Layer key → text; {} without a sheet or when it can't be read
+ */
+export function loadPlaceholderTexts() {
+  if (placeholderTexts) return placeholderTexts;
+  const sheet = getMetadata('lottie-placeholders');
+  if (!sheet) {
+    placeholderTexts = Promise.resolve({});
+    return placeholderTexts;
+  }
+  placeholderTexts = fetch(new URL(sheet, window.location.href))
+    .then((res) => {
+      if (!res.ok) throw new Error(`placeholders ${res.status}: ${sheet}`);
+      return res.json();
+    })
+    .then((json) => {
+      const rows = Array.isArray(json.data) ? json.data : [];
+      const column = rows.length ? pickLanguageColumn(rows[0]) : null;
+      if (!column) {
+        log('no placeholders column for language', document.documentElement.lang);
+        return {};
+      }
+      return rows.reduce((texts, row) => {
+        const key = toClassName(String(row.Key || row.key || ''));
+        if (key.startsWith(ROW_PREFIX) && row[column]) {
+          texts[key.slice(ROW_PREFIX.length)] = toLayerText(row[column]);
+        }
+        return texts;
+      }, {});
+    })
+    .catch((err) => {
+      warn('cannot read lottie-placeholders', err.message || err);
+      return {};
+    });
+  return placeholderTexts;
+}
+
+function missingGlyphs(data, layer, text) {
+  if (!Array.isArray(data.chars) || !data.chars.length) return [];
+  const fontName = layer.t.d.k[0]?.s?.f;
+  const font = (data.fonts?.list || []).find((f) => f.fName === fontName);
+  const glyphs = new Set(data.chars
+    .filter((c) => !font || (c.fFamily === font.fFamily && c.style === font.fStyle))
+    .map((c) => c.ch));
+  return [...new Set(text.replace(/[\r ]/g, ''))].filter((ch) => !glyphs.has(ch));
+}
+
+/**
+ * Replace the text of matching text layers, in every keyframe of their source text.
+ * @param {object} data Lottie JSON (the block's own copy; changed in place)
+ * @param {object} texts Layer key → text (readTextOverrides, loadPlaceholderTexts)
+ * @returns {string[]} Names of the layers changed
+ */
+export function applyTextOverrides(data, texts) {
+  const keys = Object.keys(texts || {});
+  if (!keys.length || !data) return [];
+  const used = new Set();
+  const changed = [];
+  const compositions = [data.layers, ...(data.assets || []).map((asset) => asset.layers)];
+  compositions.filter(Array.isArray).forEach((layers) => {
+    layers.forEach((layer) => {
+      if (layer.ty !== 5 || !Array.isArray(layer.t?.d?.k)) return;
+      const key = toClassName(layer.nm || '');
+      if (!keys.includes(key)) return;
+      const text = texts[key];
+      layer.t.d.k.forEach((keyframe) => {
+        if (keyframe.s) keyframe.s.t = text;
+      });
+      used.add(key);
+      changed.push(layer.nm);
+      const missing = missingGlyphs(data, layer, text);
+      if (missing.length) {
+        warn(`text layer "${layer.nm}" has no glyphs for ${missing.join(' ')}; export the animation with those characters or without glyphs`);
+      }
+    });
+  });
+  keys.filter((key) => !used.has(key)).forEach((key) => log('no text layer for', `text:${key}`));
+  return changed;
+}
@@ -0,0 +1,173 @@
+/**
+ * Interactive triggers for Lottie blocks (trigger row).
+ *
+ *   trigger | hover                 play forward on hover/focus, reverse on leave/blur
+ *   trigger | click                 play the segment from the start on each click
+ *   trigger | toggle                alternate between two segments (on/off states)
+ *   trigger | external:.my-button   play the segment when a matching element in the section
+ *                                   is clicked
+ *   trigger-segment | 10-60         frames or marker name to play (toggle: two, "on, off");
+ *                                   defaults to the whole animation (toggle: forward, then back)
+ *
+ * The container becomes a focusable button for hover/click/toggle, so Enter/Space work as
+ * keyboard equivalents. Segments use absolute frames, as in After Effects.
+ */
+import { log, warn } from './lottie-utils.js';
+import { parseFrameRange, resolveNamedSegment } from './lottie-segments.js';
+import { reportInteraction } from './lottie-telemetry.js';
+
+const TRIGGERS = ['hover', 'click', 'toggle'];
+
+/**
+ * Read the trigger rows from the block config.
+ * @param {object} config Result of readBlockConfig
+ * @returns {object|null} { type, selector, segments } or null when no trigger is set
+ */
+export function readTriggerOptions(config = {}) {
+  const raw = String(config.trigger || '').trim();
+  if (!raw) return null;
+
+  let type = raw.toLowerCase();
+  let selector = null;
+  if (type.startsWith('external:')) {
+    type = 'external';
+    selector = raw.slice('external:'.length).trim();
+    try {
+      document.createDocumentFragment().querySelector(selector);
+    } catch {
+      warn('ignoring trigger with invalid selector', raw);
+      return null;
+    }
+  } else if (!TRIGGERS.includes(type)) {
+    warn('ignoring invalid trigger', raw);
+    return null;
+  }
+
+  const segments = [];
+  if (config['trigger-segment']) {
+    const values = Array.isArray(config['trigger-segment'])
+      ? config['trigger-segment']
+      : String(config['trigger-segment']).split(',');
+    values.map((value) => value.trim()).filter(Boolean).forEach((value) => {
+      // Marker names are resolved once the animation data is known.
+      segments.push(parseFrameRange(value) || value);
+    });
+  }
+  return { type, selector, segments };
+}
+
+const isActivationKey = (e) => e.key === 'Enter' || e.key === ' ';
+
+/**
+ * Wire the trigger to the animation.
+ * @param {Element} container .lottie-container
+ * @param {object} anim lottie-web AnimationItem (created with autoplay off)
+ * @param {object} trigger Options from readTriggerOptions
+ * @param {number[]} range [start, end] absolute frames of the playable animation
+ * @param {Object<string, number[]>} [named] Marker segments from parseMarkerSegments
+ * @returns {function} Cleanup
+ */
+export function bindTrigger(container, anim, trigger, range, named = {}) {
+  const [start, end] = range;
+  const segments = trigger.segments
+    .map((ref) => {
+      const resolved = resolveNamedSegment(ref, named);
+      if (!resolved) warn('ignoring unknown trigger-segment', ref);
+      return resolved;
+    })
+    .filter(Boolean);
+  const current = () => (anim.firstFrame || 0) + anim.currentFrame;
+  const playRange = ([from, to]) => {
+    if (Math.round(from) === Math.round(to)) return;
+    anim.playSegments([from, to], true);
+  };
+  const interacted = () => reportInteraction(container, trigger.type);
+  const cleanups = [];
+  const on = (target, type, handler) => {
+    target.addEventListener(type, handler);
+    cleanups.push(() => target.removeEventListener(type, handler));
+  };
+
+  if (trigger.type !== 'external') {
+    container.setAttribute('tabindex', '0');
+    container.setAttribute('role', 'button');
+  }
+
+  if (trigger.type === 'hover') {
+    let forward = false;
+    const enter = () => {
+      forward = true;
+      interacted();
+      playRange([current(), end]);
+    };
+    const leave = () => { forward = false; playRange([current(), start]); };
+    on(container, 'mouseenter', enter);
+    on(container, 'mouseleave', leave);
+    on(container, 'focus', enter);
+    on(container, 'blur', leave);
+    on(container, 'keydown', (e) => {
+      if (!isActivationKey(e)) return;
+      e.preventDefault();
+      if (forward) leave(); else enter();
+    });
+  } else if (trigger.type === 'click') {
+    const segment = segments[0] || range;
+    const activate = () => {
+      interacted();
+      playRange(segment);
+    };
+    on(container, 'click', activate);
+    on(container, 'keydown', (e) => {
+      if (!isActivationKey(e)) return;
+      e.preventDefault();
+      activate();
+    });
+  } else if (trigger.type === 'toggle') {
+    const [onSegment, offSegment] = segments.length >= 2
+      ? segments
+      : [segments[0] || range, [...(segments[0] || range)].reverse()];
+    let pressed = false;
+    container.setAttribute('aria-pressed', 'false');
+    const activate = () => {
+      interacted();
+      pressed = !pressed;
+      container.setAttribute('aria-pressed', String(pressed));
+      playRange(pressed ? onSegment : offSegment);
+    };
+    on(container, 'click', activate);
+    on(container, 'keydown', (e) => {
+      if (!isActivationKey(e)) return;
+      e.preventDefault();
+      activate();
+    });
+  } else if (trigger.type === 'external') {
+    const segment = segments[0] || range;
+    const scope = container.closest('.section') || document;
+    scope.querySelectorAll(trigger.selector).forEach((el) => {
+      el.setAttribute('aria-controls', container.id);
+      if (!el.matches('a[href], button, input, [tabindex]')) {
+        el.setAttribute('tabindex', '0');
+        el.setAttribute('role', 'button');
+      }
+    });
+    const matchTarget = (e) => e.target.closest?.(trigger.selector);
+    on(scope, 'click', (e) => {
+      const el = matchTarget(e);
+      if (!el || !scope.contains(el)) return;
+      if (el.matches('a[href^="#"]')) e.preventDefault();
+      interacted();
+      playRange(segment);
+    });
+    on(scope, 'keydown', (e) => {
+      const el = matchTarget(e);
+      // Native buttons and links already turn Enter/Space into clicks.
+      if (!el || !isActivationKey(e) || el.matches('a[href], button')) return;
+      e.preventDefault();
+      interacted();
+      playRange(segment);
+    });
+  }
+
+  log('trigger', trigger.type, trigger.selector || '', segments);
+  return () => cleanups.forEach((fn) => fn());
+}
@@ -0,0 +1,118 @@
+/**
+ * Small helpers shared by the Lottie runtime (scripts/lottie.js) and its feature modules.
+ */
+import { getMetadata, toClassName } from './aem.js';
+
+/**
+ * Values of the lottie query parameter, e.g. ?lottie=debug,immediate → ['debug', 'immediate'].
+ * @returns {string[]}
+ */
+export function getLottieParams() {
+  if (typeof window === 'undefined' || !window.location?.search) return [];
+  return new URLSearchParams(window.location.search).getAll('lottie')
+    .flatMap((value) => value.split(','))
+    .map((value) => value.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function readStoredDebugFlag() {
+  try {
+    return window.localStorage?.getItem('lottie-debug') || '';
+  } catch {
+    return ''; // storage blocked
+  }
+}
+
+let debugMode;
+
+/**
+ * Diagnostics mode, off by default. Turned on by ?lottie=debug (or ?lottie=overlay), the
+ * localStorage flag "lottie-debug" or page metadata "lottie-debug"; the value "overlay" also
+ * shows the on-page diagnostics panel.
+ * @returns {false|'on'|'overlay'}
+ */
+export function getDebugMode() {
+  if (debugMode !== undefined) return debugMode;
+  const params = getLottieParams();
+  const values = [
+    params.includes('overlay') ? 'overlay' : '',
+    params.includes('debug') ? 'on' : '',
+    readStoredDebugFlag(),
+    typeof document !== 'undefined' ? getMetadata('lottie-debug') : '',
+  ].map((value) => String(value).trim().toLowerCase());
+  if (values.includes('overlay')) debugMode = 'overlay';
+  else if (values.some((value) => ['on', 'true', 'yes', '1', 'debug'].includes(value))) debugMode = 'on';
+  else debugMode = false;
+  return debugMode;
+}
+
+export function isDebug() {
+  return getDebugMode() !== false;
+}
+
+export function log(...args) {
+  // eslint-disable-next-line no-console
+  if (isDebug() && typeof console !== 'undefined' && console.info) {
+    // eslint-disable-next-line no-console
+    console.info('[Lottie]', ...args);
+  }
+}
+
+export function warn(...args) {
+  // eslint-disable-next-line no-console
+  if (typeof console !== 'undefined' && console.warn) console.warn('[Lottie]', ...args);
+}
+
+/**
+ * Tag an error with the stage that failed (script, network, parse, render), keeping the first.
+ * @param {*} err
+ * @param {string} reason
+ * @returns {Error}
+ */
+export function withReason(err, reason) {
+  const error = err instanceof Error ? err : new Error(String(err));
+  if (!error.reason) error.reason = reason;
+  return error;
+}
+
+/**
+ * Value cell of a block table row, for rows whose content (pictures, links) readBlockConfig
+ * would flatten to a URL.
+ * @param {Element} block
+ * @param {string} name Row name, e.g. 'fallback'
+ * @returns {Element|null}
+ */
+export function getConfigCell(block, name) {
+  const row = [...block.querySelectorAll(':scope > div')]
+    .find((r) => r.children[1] && toClassName(r.children[0].textContent) === name);
+  return row ? row.children[1] : null;
+}
+
+/**
+ * Parse an authored boolean (true/false, yes/no, on/off, 1/0).
+ * @param {*} value Raw block config value
+ * @returns {boolean|undefined} undefined when the value is not a recognised boolean
+ */
+export function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  const v = String(value).trim().toLowerCase();
+  if (['true', 'yes', 'on', '1'].includes(v)) return true;
+  if (['false', 'no', 'off', '0'].includes(v)) return false;
+  return undefined;
+}
+
+/**
+ * Call back whenever the element enters or leaves the (margin-extended) viewport.
+ * @param {Element} el
+ * @param {function(boolean, IntersectionObserverEntry)} callback
+ * @param {string} [rootMargin]
+ * @param {number} [threshold] Visible fraction at which the callback also fires
+ * @returns {IntersectionObserver}
+ */
+export function observeVisibility(el, callback, rootMargin = '0px', threshold = 0) {
+  const observer = new IntersectionObserver((entries) => {
+    entries.forEach((entry) => callback(entry.isIntersecting, entry));
+  }, { rootMargin, threshold });
+  observer.observe(el);
+  return observer;
+}
@@ -0,0 +1,74 @@
+/**
+ * Pause Lottie animations nobody can see (pause-offscreen row).
+ *
+ *   pause-offscreen | false   keep playing when scrolled away or in a background tab
+ *
+ * By default a playing animation is paused when it leaves the viewport or the tab is hidden,
+ * and resumes from the same frame once it is visible again. Animations that were already
+ * paused (by the user, the control bar or reduced motion) stay paused. While suspended the
+ * container carries data-lottie-suspended, so lottie:pause listeners can tell the difference.
+ */
+import {
+  log, warn, toBoolean, observeVisibility,
+} from './lottie-utils.js';
+
+/**
+ * Read the pause-offscreen row.
+ * @param {object} config Result of readBlockConfig
+ * @returns {boolean} false when the author opted out
+ */
+export function readPauseOffscreen(config = {}) {
+  const raw = config['pause-offscreen'];
+  if (raw == null || String(raw).trim() === '') return true;
+  const bool = toBoolean(raw);
+  if (bool !== undefined) return bool;
+  warn('ignoring invalid pause-offscreen', raw);
+  return true;
+}
+
+/**
+ * Suspend the animation while it is off-screen or the document is hidden.
+ * @param {Element} container .lottie-container
+ * @param {object} anim lottie-web AnimationItem
+ * @returns {function} Cleanup
+ */
+export function bindVisibilityPause(container, anim) {
+  let onScreen = true;
+  let suspended = false;
+
+  const update = () => {
+    const visible = onScreen && document.visibilityState !== 'hidden';
+    if (!visible && !suspended && !anim.isPaused) {
+      suspended = true;
+      container.dataset.lottieSuspended = 'true';
+      anim.pause();
+      log(container.id, 'suspended (not visible)');
+    } else if (visible && suspended) {
+      suspended = false;
+      delete container.dataset.lottieSuspended;
+      anim.play();
+      log(container.id, 'resumed');
+    }
+  };
+
+  // Playing it from elsewhere (controller, control bar) while suspended ends the suspension.
+  const onPlay = () => {
+    if (!suspended) return;
+    suspended = false;
+    delete container.dataset.lottieSuspended;
+  };
+  anim.addEventListener('_play', onPlay);
+
+  const observer = observeVisibility(container, (isVisible) => {
+    onScreen = isVisible;
+    update();
+  });
+  document.addEventListener('visibilitychange', update);
+
+  return () => {
+    observer.disconnect();
+    anim.removeEventListener('_play', onPlay);
+    document.removeEventListener('visibilitychange', update);
+    delete container.dataset.lottieSuspended;
+  };
+}
@@ -0,0 +1,108 @@
+/**
+ * Module worker that fetches, parses (or unzips, for .lottie) and preprocesses animations off
+ * the main thread. Started by lottie-data.js; receives { id, url, timeout, cacheName } and
+ * answers { id, data, size, report, settings, cached } or { id, error, reason, status }
+ * (reason: network or parse; status of a failed response). { clear: true } drops the results
+ * it keeps in memory.
+ *
+ * With a cacheName, Cache Storage is read before fetching and written after, in the format
+ * lottie-data.js uses on the main thread. Results stay in memory, so further requests for a
+ * URL (one per block sharing it) are answered with a fresh copy and no refetch.
+ */
+/* eslint-env worker */
+import { preprocessAnimation } from './lottie-expressions.js';
+import { isDotLottie, parseAnimationBody } from './lottie-dotlottie.js';
+
+/** As in lottie-data.js. */
+const SIZE_HEADER = 'x-lottie-size';
+
+/** Absolute URL → Promise<{data, size, report, settings, cached}> */
+const results = new Map();
+
+function fail(message, reason, status) {
+  return Object.assign(new Error(message), { reason, status });
+}
+
+function readPersisted(cacheName, url) {
+  if (!cacheName || typeof caches === 'undefined') return Promise.resolve(null);
+  return caches.open(cacheName)
+    .then((cache) => cache.match(url))
+    .then((res) => (res
+      ? res.json().then(({ data, report, settings }) => ({
+        data, report, settings, size: Number(res.headers.get(SIZE_HEADER)) || 0, cached: true,
+      }))
+      : null))
+    .catch(() => null);
+}
+
+function persist(cacheName, url, result) {
+  if (!cacheName || typeof caches === 'undefined') return;
+  const { data, report, settings } = result;
+  const res = new Response(JSON.stringify({ data, report, settings }), {
+    headers: { 'content-type': 'application/json', [SIZE_HEADER]: String(result.size) },
+  });
+  caches.open(cacheName).then((cache) => cache.put(url, res)).catch(() => {});
+}
+
+function fetchAndParse(url, timeout) {
+  let reason = 'network';
+  let status;
+  const abort = new AbortController();
+  const timer = timeout ? setTimeout(() => abort.abort(), timeout) : null;
+  return fetch(url, { signal: abort.signal })
+    .then((res) => {
+      if (!res.ok) {
+        status = res.status;
+        throw new Error(`JSON ${res.status}: ${url}`);
+      }
+      return isDotLottie(url) ? res.arrayBuffer() : res.text();
+    })
+    .then((body) => {
+      clearTimeout(timer);
+      reason = 'parse';
+      return parseAnimationBody(body);
+    })
+    .then(({ data, size, settings }) => ({
+      data, size, settings, report: preprocessAnimation(data), cached: false,
+    }))
+    .catch((err) => {
+      clearTimeout(timer);
+      const error = abort.signal.aborted ? `JSON timed out after ${timeout} ms: ${url}` : err?.message;
+      throw fail(error || String(err), reason, status);
+    });
+}
+
+function load(url, timeout, cacheName) {
+  return readPersisted(cacheName, url).then((stored) => stored
+    || fetchAndParse(url, timeout).then((result) => {
+      persist(cacheName, url, result);
+      return result;
+    }));
+}
+
+// eslint-disable-next-line no-restricted-globals -- the worker's own global scope
+addEventListener('message', ({ data: message }) => {
+  if (message.clear) {
+    results.clear();
+    return;
+  }
+  const {
+    id, url, timeout, cacheName,
+  } = message;
+  if (!results.has(url)) {
+    const pending = load(url, timeout, cacheName);
+    results.set(url, pending);
+    // Forget failures so a retry fetches again.
+    pending.catch(() => results.delete(url));
+  }
+  results.get(url).then(
+    ({
+      data, size, report, settings, cached,
+    }) => postMessage({
+      id, data, size, report, settings, cached,
+    }),
+    (err) => postMessage({
+      id, error: err.message, reason: err.reason, status: err.status,
+    }),
+  );
+});
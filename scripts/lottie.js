@@ -0,0 +1,855 @@
+/**
+ * Shared Lottie runtime for the lottie-animation blocks — EDS/DA.
+ * Every lottie-animation* block imports this module and only supplies a preset
+ * (default animation, id prefix, aria-label), so fixes to loading,
+ * expression handling or lazy init land here once.
+ *
+ * EDS: Uses lottie-web's SVG renderer, or canvas with renderer | canvas/auto (lottie-renderer.js).
+ * No <lottie-player> — Shadow DOM/WASM fails on EDS CSP.
+ * lottie-web is self-hosted in scripts/lottie-web/ and loaded with the page nonce + SRI.
+ * Common AE expressions (loopOut/loopIn, time, wiggle) are baked to keyframes; the rest are
+ * stripped and reported (lottie-expressions.js), in a worker where possible (lottie-data.js).
+ * The animation row also accepts .lottie archives (lottie-dotlottie.js); image assets resolve
+ * relative to the animation (lottie-assets.js), and text layers can be localised (lottie-text.js).
+ * Blocks are sized by the animation's aspect ratio (lottie-layout.js); an optional poster image
+ * reserves the block's space until the first render (lottie-poster.js).
+ * Failed loads retry network errors and show the block's fallback row (lottie-fallback.js).
+ * Control: container.lottieController or window.hlx.lottie.get(id) (see lottie-controller.js).
+ * Events: bubbling lottie:loading, ready, play, pause, loop, complete, marker, error.
+ * Diagnostics: off by default; ?lottie=debug or ?lottie=overlay, localStorage/metadata lottie-debug
+ * (see lottie-utils.js). ?lottie=immediate skips lazy loading.
+ */
+import {
+  getMetadata, loadCSS, loadScript, readBlockConfig,
+} from './aem.js';
+import { createLottieController } from './lottie-controller.js';
+import { readScrollOptions, bindScrollPlayback } from './lottie-scroll.js';
+import { readTriggerOptions, bindTrigger } from './lottie-triggers.js';
+import { parseMarkerSegments, parseSequence } from './lottie-segments.js';
+import {
+  prefersReducedMotion, readPosterFrame, resolvePosterFrame, bindReducedMotion,
+} from './lottie-motion.js';
+import { readControlsOption, shouldShowControls, bindControls } from './lottie-controls.js';
+import {
+  readRenderer, chooseRenderer, getRendererSettings, bindCanvasSizing,
+} from './lottie-renderer.js';
+import { readPauseOffscreen, bindVisibilityPause } from './lottie-visibility.js';
+import { loadAnimationData } from './lottie-data.js';
+import { showDiagnostics } from './lottie-diagnostics.js';
+import { bindTelemetry } from './lottie-telemetry.js';
+import {
+  LOAD_DEFAULTS, readLoadOptions, readFallback, showFallback,
+} from './lottie-fallback.js';
+import { readPoster, showPoster, isInFirstSection } from './lottie-poster.js';
+import {
+  readAssetOptions, resolveImageAssets, decodeImageAssets, useDecodedImages,
+} from './lottie-assets.js';
+import { readTextOverrides, loadPlaceholderTexts, applyTextOverrides } from './lottie-text.js';
+import {
+  readLayoutOptions, getPreserveAspectRatio, setAspectRatio,
+} from './lottie-layout.js';
+import {
+  log, warn, isDebug, getDebugMode, getLottieParams, toBoolean, observeVisibility, withReason,
+} from './lottie-utils.js';
+
+export { getLottieController } from './lottie-controller.js';
+export { clearAnimationCache } from './lottie-data.js';
+
+/**
+ * lottie-web is self-hosted under scripts/lottie-web/<version>/ so it loads from the project's
+ * own origin (no CDN), with the page's CSP nonce and a subresource-integrity check.
+ * Page metadata "lottie-web-version" selects another vendored version; builds without a
+ * known hash below load without integrity. Each renderer has its own light build.
+ */
+const LOTTIE_WEB_VERSION = '5.12.2';
+const LOTTIE_WEB_BUILDS = {
+  svg: 'lottie_light.min.js',
+  canvas: 'lottie_light_canvas.min.js',
+};
+const LOTTIE_WEB_INTEGRITY = {
+  '5.12.2/lottie_light.min.js': 'sha384-Vtbz3QbtSBqleuQry6kQy5smig1gPZCXUoTFN7RmN9QW47xpEDsV/J1w0Pw0rDJu',
+  '5.12.2/lottie_light_canvas.min.js': 'sha384-7smLPy87rn/83wziBl/IJ2/ijiuQpctXTpvFTe1pEG+Fzj8daB1DUrBMoCCkoO4/',
+};
+
+/**
+ * Wait for window.lottie to be set by lottie-web (script may set it after onload).
+ * @param {number} maxMs
+ * @returns {Promise<object>} The lottie-web instance
+ */
+function waitForLottie(maxMs = 5000) {
+  if (window.lottie && typeof window.lottie.loadAnimation === 'function') {
+    return Promise.resolve(window.lottie);
+  }
+  return new Promise((resolve, reject) => {
+    const deadline = Date.now() + maxMs;
+    function check() {
+      if (window.lottie && typeof window.lottie.loadAnimation === 'function') {
+        log('lottie-web ready');
+        resolve(window.lottie);
+        return;
+      }
+      if (Date.now() > deadline) {
+        reject(new Error('lottie-web not available'));
+        return;
+      }
+      setTimeout(check, 50);
+    }
+    check();
+  });
+}
+
+function getCodeBase() {
+  return (typeof window !== 'undefined' && window.hlx?.codeBasePath) ? window.hlx.codeBasePath.replace(/\/$/, '') : '';
+}
+
+export function toAbsoluteJsonUrl(url) {
+  if (!url || typeof url !== 'string') return url;
+  const trimmed = url.trim();
+  if (/^https?:\/\//i.test(trimmed)) return trimmed;
+  const base = getCodeBase();
+  const path = trimmed.startsWith('/')
+    ? trimmed
+    : (`${base ? `/${base}` : ''}/${trimmed.replace(/^\//, '')}`).replace(/\/+/g, '/');
+  try {
+    return new URL(path, typeof window !== 'undefined' ? window.location.origin : '').href;
+  } catch {
+    return trimmed;
+  }
+}
+
+/**
+ * Resolve a project path (e.g. /blocks/lottie-animation/dop.json) against the code base path.
+ * @param {string} path Path from the project root
+ * @returns {string} Absolute URL, or the prefixed path if no origin is available
+ */
+function toCodeBaseUrl(path) {
+  const prefixed = `${getCodeBase()}${path}`;
+  try {
+    return new URL(prefixed, typeof window !== 'undefined' ? window.location.origin : '').href;
+  } catch {
+    return path;
+  }
+}
+
+/**
+ * Nonce of the page's own scripts (head.html: nonce="aem"), so injected scripts satisfy
+ * a nonce-based script-src. The attribute is hidden after parsing; the property is not.
+ * @returns {string}
+ */
+function getPageNonce() {
+  const script = document.querySelector('script[nonce]');
+  return script ? (script.nonce || script.getAttribute('nonce') || '') : '';
+}
+
+/**
+ * Inject one self-hosted lottie-web build and capture the instance it assigns to window.lottie.
+ * A window.lottie that was already there is put back, so an earlier build keeps its global.
+ * @param {string} build File name under scripts/lottie-web/<version>/
+ * @returns {Promise<object>} The lottie-web instance
+ */
+function injectLottieWeb(build) {
+  const version = getMetadata('lottie-web-version') || LOTTIE_WEB_VERSION;
+  const src = `${getCodeBase()}/scripts/lottie-web/${version}/${build}`;
+  const attrs = {};
+  const nonce = getPageNonce();
+  if (nonce) attrs.nonce = nonce;
+  const integrity = LOTTIE_WEB_INTEGRITY[`${version}/${build}`];
+  if (integrity) {
+    attrs.integrity = integrity;
+    attrs.crossorigin = 'anonymous';
+  } else {
+    warn(`no integrity hash for lottie-web ${version}/${build}; loading without SRI`);
+  }
+  log('loading lottie-web', version, build);
+  const previous = window.lottie;
+  window.lottie = undefined;
+  const restore = () => {
+    if (previous) window.lottie = previous;
+  };
+  return loadScript(src, attrs)
+    .catch(() => { throw new Error(`Script failed: ${src}`); })
+    .then(() => waitForLottie())
+    .then((lottie) => {
+      restore();
+      return lottie;
+    }, (err) => {
+      restore();
+      throw err;
+    });
+}
+
+const lottieWebLoads = {};
+const lottieWebInstances = new Set();
+let lottieWebQueue = Promise.resolve();
+
+/**
+ * Load the self-hosted lottie-web build for a renderer (once per page).
+ * Builds load one after another because each one overwrites window.lottie.
+ * A lottie-web already on the page (not loaded here) is reused for SVG.
+ * @param {string} [renderer] 'svg' or 'canvas'
+ * @returns {Promise<object>} The lottie-web instance
+ */
+function loadLottieWeb(renderer = 'svg') {
+  const existing = window.lottie;
+  if (renderer === 'svg' && existing && typeof existing.loadAnimation === 'function'
+    && !lottieWebInstances.has(existing)) {
+    return Promise.resolve(existing);
+  }
+  if (!lottieWebLoads[renderer]) {
+    lottieWebLoads[renderer] = lottieWebQueue
+      .then(() => injectLottieWeb(LOTTIE_WEB_BUILDS[renderer]))
+      .then((lottie) => {
+        lottieWebInstances.add(lottie);
+        return lottie;
+      });
+    lottieWebQueue = lottieWebLoads[renderer].catch(() => {});
+  }
+  return lottieWebLoads[renderer];
+}
+
+/**
+ * Load the build for the chosen renderer, falling back to SVG if the canvas build fails.
+ * @param {string} renderer 'svg' or 'canvas'
+ * @returns {Promise<{lottie: object, renderer: string}>}
+ */
+function loadRendererBuild(renderer) {
+  return loadLottieWeb(renderer)
+    .then((lottie) => ({ lottie, renderer }))
+    .catch((err) => {
+      if (renderer !== 'canvas') throw err;
+      warn('canvas build failed to load; falling back to SVG', err);
+      return loadLottieWeb('svg').then((lottie) => ({ lottie, renderer: 'svg' }));
+    })
+    .catch((err) => { throw withReason(err, 'script'); });
+}
+
+const PLAYBACK_DEFAULTS = {
+  loop: true,
+  autoplay: true,
+  speed: 1,
+  direction: 1,
+  startFrame: null,
+  endFrame: null,
+  holdLastFrame: false,
+  sequence: null,
+};
+
+/** Playback options a .lottie manifest can set. */
+const MANIFEST_PLAYBACK_KEYS = ['loop', 'autoplay', 'speed', 'direction'];
+
+/**
+ * Read playback rows from the block config, validating each and falling back to defaults.
+ * Rows: loop (true/false/count), autoplay, speed, direction (forward/reverse/1/-1),
+ * start-frame, end-frame, play-once-then-hold-last-frame, and play (a segment sequence such
+ * as "intro then loop:main", see lottie-segments.js).
+ * @param {object} config Result of readBlockConfig
+ * @returns {object} Playback options; authored lists the loop/autoplay/speed/direction rows
+ *   given, which a .lottie manifest doesn't override
+ */
+export function readPlaybackOptions(config = {}) {
+  const playback = { ...PLAYBACK_DEFAULTS };
+  const has = (key) => config[key] != null && String(config[key]).trim() !== '';
+  playback.authored = MANIFEST_PLAYBACK_KEYS.filter(has);
+
+  if (has('loop')) {
+    const bool = toBoolean(config.loop);
+    const count = Number(config.loop);
+    if (bool !== undefined && !/^\d+$/.test(String(config.loop).trim())) playback.loop = bool;
+    else if (Number.isInteger(count) && count >= 0) playback.loop = count === 0 ? false : count;
+    else warn('ignoring invalid loop', config.loop);
+  }
+  if (has('autoplay')) {
+    const bool = toBoolean(config.autoplay);
+    if (bool !== undefined) playback.autoplay = bool;
+    else warn('ignoring invalid autoplay', config.autoplay);
+  }
+  if (has('speed')) {
+    const speed = Number(config.speed);
+    if (Number.isFinite(speed) && speed > 0) playback.speed = speed;
+    else warn('ignoring invalid speed', config.speed);
+  }
+  if (has('direction')) {
+    const dir = String(config.direction).trim().toLowerCase();
+    if (['forward', 'forwards', '1'].includes(dir)) playback.direction = 1;
+    else if (['reverse', 'backward', 'backwards', '-1'].includes(dir)) playback.direction = -1;
+    else warn('ignoring invalid direction', config.direction);
+  }
+  ['start-frame', 'end-frame'].forEach((key) => {
+    if (!has(key)) return;
+    const frame = Number(config[key]);
+    if (Number.isFinite(frame) && frame >= 0) {
+      playback[key === 'start-frame' ? 'startFrame' : 'endFrame'] = frame;
+    } else {
+      warn(`ignoring invalid ${key}`, config[key]);
+    }
+  });
+  if (has('play-once-then-hold-last-frame')) {
+    const bool = toBoolean(config['play-once-then-hold-last-frame']);
+    if (bool !== undefined) playback.holdLastFrame = bool;
+    else warn('ignoring invalid play-once-then-hold-last-frame', config['play-once-then-hold-last-frame']);
+  }
+  if (playback.holdLastFrame) playback.loop = false;
+  if (has('play')) {
+    const steps = parseSequence(config.play);
+    if (steps.length) playback.sequence = steps;
+    else warn('ignoring invalid play', config.play);
+  }
+  return playback;
+}
+
+/**
+ * Fill the playback options the author didn't set from a .lottie manifest.
+ * @param {object} playback Options from readPlaybackOptions
+ * @param {object} settings Manifest playback settings (see unpackDotLottie)
+ * @returns {object} Playback options
+ */
+function applyManifestPlayback(playback, settings) {
+  const merged = { ...playback };
+  MANIFEST_PLAYBACK_KEYS.forEach((key) => {
+    if (settings[key] !== undefined && !(playback.authored || []).includes(key)) {
+      merged[key] = settings[key];
+    }
+  });
+  if (merged.holdLastFrame) merged.loop = false;
+  if (settings.playMode) warn(`ignoring unsupported .lottie playMode ${settings.playMode}`);
+  log('.lottie manifest playback', settings);
+  return merged;
+}
+
+/**
+ * Clamp the authored start/end frames to the animation's own in/out points.
+ * @param {object} playback Options from readPlaybackOptions
+ * @param {object} animationData Lottie JSON
+ * @returns {number[]|undefined} [start, end] or undefined to play the whole animation
+ */
+function resolveSegment(playback, animationData) {
+  const ip = Number.isFinite(animationData.ip) ? Math.floor(animationData.ip) : 0;
+  const op = Number.isFinite(animationData.op) ? Math.ceil(animationData.op) : null;
+  if (op == null) return undefined;
+  const clamp = (f) => Math.min(Math.max(f, ip), op);
+  const start = playback.startFrame != null ? clamp(playback.startFrame) : ip;
+  const end = playback.endFrame != null ? clamp(playback.endFrame) : op;
+  if (end <= start) {
+    warn('start-frame must be before end-frame; playing full animation', start, end);
+    return [ip, op];
+  }
+  return [start, end];
+}
+
+/**
+ * Apply speed/direction and start (or park) a clock-driven animation.
+ * @param {object} anim lottie-web AnimationItem
+ * @param {object} playback Options from readPlaybackOptions
+ * @returns {function} Cleanup
+ */
+function startPlayback(anim, playback) {
+  anim.setSpeed(playback.speed);
+  anim.setDirection(playback.direction);
+  // Reverse playback starts from the last frame of the segment, not the first.
+  const firstFrame = playback.direction < 0 ? anim.totalFrames - 1 : 0;
+  const hold = () => {
+    anim.goToAndStop(playback.direction < 0 ? 0 : anim.totalFrames - 1, true);
+  };
+  if (playback.holdLastFrame) anim.addEventListener('complete', hold);
+  if (playback.autoplay) {
+    anim.goToAndPlay(firstFrame, true);
+  } else {
+    anim.goToAndStop(firstFrame, true);
+  }
+  return () => anim.removeEventListener('complete', hold);
+}
+
+/**
+ * Dispatch a bubbling lottie:* CustomEvent from the container.
+ * detail always carries the container id and its controller.
+ * @param {Element} container
+ * @param {string} type Event name without the lottie: prefix
+ * @param {object} [detail]
+ */
+function dispatchLottieEvent(container, type, detail = {}) {
+  container.dispatchEvent(new CustomEvent(`lottie:${type}`, {
+    bubbles: true,
+    detail: { id: container.id, controller: container.lottieController, ...detail },
+  }));
+}
+
+/**
+ * Re-dispatch lottie-web's own events as lottie:* DOM events.
+ * lottie:marker fires when playback crosses an After Effects marker.
+ * @param {Element} container
+ * @param {object} anim lottie-web AnimationItem
+ * @param {string} url Animation URL, reported with lottie:ready
+ * @param {function(): object} [getTimings] Load timings reported with lottie:ready
+ * @param {function(Error)} [onError] Called once if lottie-web fails to load or render
+ */
+function bindLifecycleEvents(container, anim, url, getTimings = () => ({}), onError = () => {}) {
+  const ready = () => dispatchLottieEvent(container, 'ready', { url, timings: getTimings() });
+  if (anim.isLoaded) ready();
+  else anim.addEventListener('DOMLoaded', ready);
+
+  anim.addEventListener('_play', () => dispatchLottieEvent(container, 'play'));
+  anim.addEventListener('_pause', () => dispatchLottieEvent(container, 'pause'));
+  anim.addEventListener('loopComplete', () => {
+    dispatchLottieEvent(container, 'loop', { playCount: anim.playCount });
+  });
+  anim.addEventListener('complete', () => dispatchLottieEvent(container, 'complete'));
+  let hasFailed = false;
+  const failed = (error) => {
+    if (hasFailed) return;
+    hasFailed = true;
+    onError(error || new Error('lottie-web data_failed'));
+  };
+  anim.addEventListener('data_failed', () => failed());
+  anim.addEventListener('error', (e) => failed(e?.nativeError || e));
+
+  const markers = Array.isArray(anim.markers) ? anim.markers : [];
+  if (!markers.length) return;
+  let prev = null;
+  anim.addEventListener('enterFrame', () => {
+    const frame = (anim.firstFrame || 0) + anim.currentFrame;
+    if (prev !== null && !anim.isPaused && frame !== prev) {
+      const forward = anim.playDirection >= 0;
+      const wrapped = forward ? frame < prev : frame > prev;
+      const crossed = (t) => {
+        if (forward) return wrapped ? (t > prev || t <= frame) : (t > prev && t <= frame);
+        return wrapped ? (t < prev || t >= frame) : (t < prev && t >= frame);
+      };
+      markers.filter((m) => crossed(m.time)).forEach((m) => {
+        dispatchLottieEvent(container, 'marker', {
+          name: m.payload?.name,
+          time: m.time,
+          duration: m.duration,
+        });
+      });
+    }
+    prev = frame;
+  });
+}
+
+/**
+ * Text of a block config value (multi-paragraph cells are joined).
+ * @param {string|string[]} value
+ * @returns {string}
+ */
+function configText(value) {
+  if (value == null) return '';
+  return (Array.isArray(value) ? value.join(' ') : String(value)).replace(/\s+/g, ' ').trim();
+}
+
+/** After Effects' default composition names say nothing about the animation. */
+const GENERIC_ANIMATION_NAMES = /^(comp|pre-?comp|composition|main comp)\s*\d*$/i;
+
+/**
+ * Apply the author's accessible name and description to the container.
+ * alt (or label) sets aria-label; description is rendered as visually hidden text and linked
+ * with aria-describedby.
+ * @param {Element} container .lottie-container (already in the block)
+ * @param {object} config Result of readBlockConfig
+ * @param {string} presetLabel Label used when the author gives none
+ * @returns {boolean} true when the author supplied a label
+ */
+function applyAccessibleName(container, config, presetLabel) {
+  const label = configText(config.alt) || configText(config.label);
+  const description = configText(config.description);
+  container.setAttribute('aria-label', label || presetLabel);
+  if (description) {
+    const desc = document.createElement('p');
+    desc.id = `${container.id}-description`;
+    desc.className = 'lottie-description';
+    desc.textContent = description;
+    container.after(desc);
+    container.setAttribute('aria-describedby', desc.id);
+  }
+  if (isDebug() && !label && !description) {
+    warn(`${container.id} has no alt/label or description; add rows so screen readers can tell animations apart`);
+  }
+  return !!label;
+}
+
+/**
+ * Use the animation's own name (nm) as the label when the author did not supply one.
+ * @param {Element} container
+ * @param {object} animationData Lottie JSON
+ */
+function applyAnimationName(container, animationData) {
+  const nm = configText(animationData?.nm);
+  if (!nm || GENERIC_ANIMATION_NAMES.test(nm)) return;
+  container.setAttribute('aria-label', nm);
+  log('aria-label from animation nm:', nm);
+}
+
+/**
+ * Summarise the expression report from preprocessing. Expressions that could not be baked are
+ * always warned about; in debug mode every expression is printed with console.table.
+ * @param {Element} container
+ * @param {string} url Animation URL
+ * @param {object[]} report From bakeExpressions
+ * @returns {object} { url, summary: { total, baked, stripped }, entries }
+ */
+function auditExpressions(container, url, report) {
+  const summary = { total: report.length, baked: 0, stripped: 0 };
+  report.forEach((entry) => { summary[entry.status] += 1; });
+  if (isDebug() && report.length) {
+    const rows = report.map(({
+      layer, path, status, reason, expression,
+    }) => ({
+      layer,
+      path,
+      status,
+      reason: reason || '',
+      expression: expression.length > 80 ? `${expression.slice(0, 79)}…` : expression,
+    }));
+    /* eslint-disable no-console */
+    console.groupCollapsed(`[Lottie] ${container.id} expressions: ${summary.baked} baked, ${summary.stripped} stripped`);
+    console.table(rows);
+    console.groupEnd();
+    /* eslint-enable no-console */
+  } else if (summary.stripped) {
+    warn(`${container.id}: ${summary.stripped} expression(s) could not be baked and were removed`);
+  }
+  return { url, summary, entries: report };
+}
+
+/**
+ * Fetch the container's animation JSON and render it with lottie-web.
+ * @param {Element} container .lottie-container with data-jsonsrc
+ * @param {object} [options]
+ * @param {object} [options.layout] From readLayoutOptions (width/height hint, fit)
+ * @param {object} [options.playback] Options from readPlaybackOptions
+ * @param {object} [options.scroll] Options from readScrollOptions (scroll-synchronised mode)
+ * @param {object} [options.trigger] Options from readTriggerOptions (hover/click/toggle/external)
+ * @param {number|string} [options.posterFrame] Frame or marker shown when motion is reduced
+ * @param {string} [options.controls] From readControlsOption (overlay control bar)
+ * @param {boolean} [options.labelFromAnimation] Replace aria-label with the animation's nm
+ * @param {boolean} [options.pauseOffscreen] Suspend playback while off-screen or the tab is hidden
+ * @param {object} [options.load] From readLoadOptions (retries, timeout)
+ * @param {HTMLTemplateElement} [options.fallback] From readFallback, shown if loading fails
+ * @param {object} [options.assets] From readAssetOptions, with assetsPath made absolute
+ * @param {object} [options.text] From readTextOverrides; wins over the placeholders sheet
+ */
+export function loadLottieIntoContainer(container, options = {}) {
+  const {
+    layout = { width: null, height: null, fit: 'contain' },
+    scroll = null,
+    trigger = null,
+    posterFrame = null,
+    controls = 'auto',
+    labelFromAnimation = false,
+    pauseOffscreen = true,
+    load = LOAD_DEFAULTS,
+    fallback = null,
+    assets = { assetsPath: null, decoding: null },
+    text = {},
+  } = options;
+  let playback = options.playback || PLAYBACK_DEFAULTS;
+  const jsonUrl = container.getAttribute('data-jsonsrc');
+  if (!jsonUrl) {
+    log('no data-jsonsrc');
+    return;
+  }
+  if (container.dataset.lottieLoaded === 'true') {
+    log('already loaded');
+    return;
+  }
+  container.dataset.lottieLoaded = 'true';
+  container.dataset.lottieStatus = 'loading';
+  const controller = createLottieController(container);
+
+  // Visitors see the author's fallback (or nothing); the message is for diagnostics mode.
+  const showError = (msg, err) => {
+    container.dataset.lottieStatus = 'error';
+    if (fallback) showFallback(container, fallback);
+    else container.replaceChildren(...container.querySelectorAll(':scope > .lottie-poster'));
+    if (isDebug()) {
+      const p = document.createElement('p');
+      p.className = 'lottie-error';
+      p.textContent = msg;
+      p.style.cssText = 'padding:1rem;color:#c00;font-size:0.875rem;';
+      container.appendChild(p);
+    }
+    // eslint-disable-next-line no-console
+    if (err && console && console.error) {
+      // eslint-disable-next-line no-console
+      console.error('[Lottie]', msg, err);
+    }
+  };
+
+  const absoluteUrl = toAbsoluteJsonUrl(jsonUrl);
+  // ms after loading started: JSON preprocessed, lottie-web build loaded, first render.
+  const startedAt = performance.now();
+  const elapsed = () => Math.round(performance.now() - startedAt);
+  const timings = {};
+  log('loading from', absoluteUrl);
+  bindTelemetry(container);
+  dispatchLottieEvent(container, 'loading', { url: absoluteUrl });
+
+  const fail = (err) => {
+    const error = withReason(err, 'render');
+    showError('Animation could not be loaded.', error);
+    controller.fail(error);
+    dispatchLottieEvent(container, 'error', { error, url: absoluteUrl, reason: error.reason });
+  };
+
+  const inner = document.createElement('div');
+  inner.className = 'lottie-inner';
+  inner.setAttribute('aria-hidden', 'true');
+  // The container's aspect ratio gives the render target its height.
+  inner.style.height = '100%';
+  inner.style.width = '100%';
+  container.appendChild(inner);
+
+  const rendererMode = container.dataset.lottieRenderer || 'svg';
+  // An explicit renderer's build loads alongside the JSON; auto needs the JSON's size first.
+  const earlyBuild = rendererMode === 'auto' ? null : loadRendererBuild(rendererMode);
+  if (earlyBuild) earlyBuild.catch(() => {}); // handled below, once the JSON is in
+
+  let expressions = null;
+  Promise.all([loadAnimationData(absoluteUrl, load), loadPlaceholderTexts()])
+    .then(([{
+      data: animationData, size, report, settings,
+    }, placeholders]) => {
+      timings.data = elapsed();
+      const replaced = applyTextOverrides(animationData, { ...placeholders, ...text });
+      if (replaced.length) log('text layers replaced', replaced);
+      // Authored width/height rows define the box; otherwise use the animation's own size.
+      if (!layout.width) setAspectRatio(container, animationData.w, animationData.h);
+      expressions = auditExpressions(container, absoluteUrl, report);
+      const renderer = chooseRenderer(rendererMode, size);
+      return (earlyBuild || loadRendererBuild(renderer))
+        .then((build) => ({ animationData, settings, ...build }));
+    })
+    .then(({
+      animationData, settings, lottie, renderer,
+    }) => {
+      if (Object.keys(settings).length) playback = applyManifestPlayback(playback, settings);
+      timings.script = elapsed();
+      log('JSON loaded, frames/layers:', animationData?.op != null ? 'yes' : 'no');
+      container.dataset.lottieRenderer = renderer;
+      if (labelFromAnimation) applyAnimationName(container, animationData);
+      const images = resolveImageAssets(animationData, absoluteUrl, assets.assetsPath);
+      if (images) log('image assets resolved', images);
+      let decoded = null;
+      if (assets.decoding && renderer === 'canvas') {
+        decoded = decodeImageAssets(animationData, assets.decoding);
+      } else if (assets.decoding) {
+        log('image-decoding only applies to the canvas renderer');
+      }
+      const runInit = () => {
+        const segment = resolveSegment(playback, animationData);
+        const anim = lottie.loadAnimation({
+          container: inner,
+          renderer,
+          loop: (scroll || trigger) ? false : playback.loop,
+          autoplay: false,
+          animationData,
+          ...(segment ? { initialSegment: segment } : {}),
+          rendererSettings: getRendererSettings(renderer, getPreserveAspectRatio(layout.fit)),
+        });
+        const segments = parseMarkerSegments(animationData);
+        if (Object.keys(segments).length) log('marker segments', segments);
+        // Destroyed while loading: attach has destroyed the animation, so there's nothing to bind.
+        if (!controller.attach(anim, { segments, expressions })) return;
+        if (decoded) useDecodedImages(anim, decoded.images);
+        if (renderer === 'canvas') anim.addEventListener('destroy', bindCanvasSizing(anim, inner));
+        const getTimings = () => ({ ...timings, ready: elapsed() });
+        bindLifecycleEvents(container, anim, absoluteUrl, getTimings, (err) => {
+          // Same outcome as a failed load; destroy once lottie-web has finished dispatching.
+          fail(err);
+          setTimeout(() => anim.destroy());
+        });
+        const range = segment || [anim.firstFrame, anim.firstFrame + anim.totalFrames];
+        const parked = { ...playback, autoplay: false, holdLastFrame: false };
+        // Normal playback for the block's mode; returns its cleanup.
+        const startMode = () => {
+          if (scroll) return bindScrollPlayback(container, anim, scroll);
+          if (playback.sequence) {
+            const stop = startPlayback(anim, parked);
+            if (playback.autoplay) controller.playSequence(playback.sequence);
+            return stop;
+          }
+          return startPlayback(anim, playback);
+        };
+        if (trigger) {
+          // Triggers only animate in response to the user, so they ignore reduced motion.
+          startPlayback(anim, parked);
+          anim.addEventListener('destroy', bindTrigger(container, anim, trigger, range, segments));
+        } else {
+          const withControls = !scroll && shouldShowControls(controls, playback, anim, segments);
+          const fallbackPoster = playback.holdLastFrame ? range[1] : range[0];
+          const motion = bindReducedMotion(container, controller, {
+            posterFrame: resolvePosterFrame(posterFrame, segments, fallbackPoster),
+            start: startMode,
+            toggleable: !scroll,
+            button: !withControls,
+          });
+          anim.addEventListener('destroy', motion.cleanup);
+          if (withControls) {
+            const scrubber = controls === 'scrubber';
+            // The bar replaces the reduced-motion button, so its play starts the mode the same way.
+            const unbind = bindControls(container, controller, { scrubber, play: motion.play });
+            anim.addEventListener('destroy', unbind);
+          }
+        }
+        // Scroll mode has no clock to stop; it already only listens while visible.
+        if (pauseOffscreen && !scroll) {
+          anim.addEventListener('destroy', bindVisibilityPause(container, anim));
+        }
+        // Only now, so an error while setting up rejects ready as well as showing the error
+        // (lottie-web may already have reported one while playback started).
+        if (container.dataset.lottieStatus === 'error') return;
+        container.dataset.lottieStatus = 'loaded';
+        controller.markReady();
+        const autoplaying = playback.autoplay && !scroll && !trigger && !prefersReducedMotion();
+        log(
+          autoplaying ? 'animation started' : 'animation ready (not autoplaying)',
+          `(${renderer})`,
+          'segment',
+          segment ? segment.join(' - ') : 'full',
+          '| loop',
+          playback.loop,
+          '| speed',
+          playback.speed,
+          '| direction',
+          playback.direction,
+        );
+        if (isDebug() && lottie.getRegisteredAnimations) {
+          setTimeout(() => {
+            const count = lottie.getRegisteredAnimations().length;
+            const rect = inner.getBoundingClientRect();
+            log(
+              'getRegisteredAnimations:',
+              count,
+              '| container size:',
+              rect.width,
+              'x',
+              rect.height,
+            );
+          }, 500);
+        }
+      };
+      return Promise.resolve(decoded?.ready).then(() => {
+        requestAnimationFrame(() => {
+          // Outside the promise chain, so errors (e.g. from loadAnimation) must be caught here.
+          requestAnimationFrame(() => {
+            try {
+              runInit();
+            } catch (err) {
+              fail(err);
+            }
+          });
+        });
+      });
+    })
+    .catch(fail);
+}
+
+/**
+ * Start loading once the container is near the viewport (or after 500ms at the latest).
+ * @param {Element} container .lottie-container with data-jsonsrc
+ * @param {object} [options] Passed through to loadLottieIntoContainer
+ */
+export function initLottieWhenVisible(container, options = {}) {
+  const jsonUrl = container.getAttribute('data-jsonsrc');
+  if (!jsonUrl) return;
+
+  let loaded = false;
+  let observer = null;
+  const run = () => {
+    if (loaded) return;
+    loaded = true;
+    if (observer) observer.disconnect();
+    loadLottieIntoContainer(container, options);
+  };
+
+  observer = observeVisibility(container, (visible) => {
+    if (visible) run();
+  }, '100px');
+
+  setTimeout(() => {
+    if (container.dataset.lottieLoaded !== 'true') run();
+  }, 500);
+}
+
+const blockCounts = {};
+
+/**
+ * Decorate a lottie-animation* block from its variant preset.
+ * Authors override the preset's animation via the block table: animation | /path/or/url.json
+ * and tune playback with loop, autoplay, speed, direction, start-frame, end-frame and
+ * play-once-then-hold-last-frame rows (see readPlaybackOptions), or scrub by scroll
+ * position with mode | scroll (see lottie-scroll.js) or drive it from hover/click with
+ * trigger rows (see lottie-triggers.js). alt/label and description rows name and describe the
+ * animation for assistive tech; renderer | svg, canvas or auto picks the renderer, and
+ * pause-offscreen | false keeps it playing while off-screen.
+ * @param {Element} block The block element
+ * @param {object} preset Variant preset
+ * @param {string} preset.name Variant name used in debug logs (e.g. 'v1 Swivel')
+ * @param {string} preset.idPrefix Container id prefix (e.g. 'lottie-v1')
+ * @param {string} preset.animation Default animation path from the project root
+ * @param {string} [preset.label] Container aria-label when the author gives none
+ * @param {string} [preset.className] Extra container class (e.g. 'e-lottie__animation')
+ */
+export function decorateLottieBlock(block, preset) {
+  const {
+    name,
+    idPrefix,
+    animation,
+    label = 'Animation',
+    className,
+  } = preset;
+  const config = readBlockConfig(block);
+  const fallback = readFallback(block);
+  const poster = readPoster(block);
+  loadCSS(`${getCodeBase()}/styles/lottie.css`);
+  if (getDebugMode() === 'overlay') showDiagnostics();
+  const raw = (config.animation && config.animation.trim())
+    ? config.animation.trim() : toCodeBaseUrl(animation);
+  const jsonUrl = toAbsoluteJsonUrl(raw);
+
+  log(`block decorate (${name})`, jsonUrl);
+
+  blockCounts[idPrefix] = (blockCounts[idPrefix] || 0) + 1;
+  const container = document.createElement('div');
+  container.id = `${idPrefix}-${blockCounts[idPrefix]}`;
+  container.className = [className, 'lottie-lazy', 'lottie-container'].filter(Boolean).join(' ');
+  container.setAttribute('data-jsonsrc', jsonUrl);
+  container.setAttribute('data-lottie-renderer', readRenderer(config));
+  container.setAttribute('role', 'img');
+  createLottieController(container);
+
+  block.innerHTML = '';
+  block.appendChild(container);
+  const layout = readLayoutOptions(config);
+  const assets = readAssetOptions(config);
+  if (assets.assetsPath) assets.assetsPath = toAbsoluteJsonUrl(assets.assetsPath);
+  setAspectRatio(container, layout.width, layout.height);
+  if (layout.fit !== 'contain') container.dataset.lottieFit = layout.fit;
+  if (poster) showPoster(container, poster, isInFirstSection(block));
+  const hasAuthorLabel = applyAccessibleName(container, config, label);
+
+  const scroll = readScrollOptions(config);
+  if (scroll) container.dataset.lottieMode = 'scroll';
+  const trigger = scroll ? null : readTriggerOptions(config);
+  if (trigger) container.dataset.lottieTrigger = trigger.type;
+  const options = {
+    layout,
+    assets,
+    text: readTextOverrides(config),
+    playback: readPlaybackOptions(config),
+    scroll,
+    trigger,
+    posterFrame: readPosterFrame(config),
+    controls: readControlsOption(config),
+    labelFromAnimation: !hasAuthorLabel,
+    pauseOffscreen: readPauseOffscreen(config),
+    load: readLoadOptions(config),
+    fallback,
+  };
+  const immediate = toBoolean(config.immediate) === true || getLottieParams().includes('immediate');
+  if (immediate) {
+    log('immediate load (no lazy)');
+    loadLottieIntoContainer(container, options);
+  } else {
+    initLottieWhenVisible(container, options);
+  }
+}